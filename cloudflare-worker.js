@@ -4,58 +4,140 @@
  * SETUP INSTRUCTIONS:
  * 1. Go to Cloudflare Dashboard > Workers & Pages
  * 2. Create a new Worker (or update the existing one)
- * 3. Paste this code
+ * 3. Upload this file as the main module together with plan-core.js (shared plan
+ *    logic from the site, imported below) — e.g. `wrangler deploy` from the repo root
  * 4. Create KV namespaces:
  *    - "SHORT_URLS" — for short URL storage
- *    - "TELEMETRY" — for sitewide anonymous metrics
+ *    - "TELEMETRY" — where sitewide metrics were kept before the Durable Object
+ *      (read once, to import the old totals; optional for new deployments)
  * 5. Bind both KV namespaces to this worker:
  *    - SHORT_URLS variable → SHORT_URLS namespace
  *    - TELEMETRY variable  → TELEMETRY namespace
- * 6. Add routes:
+ * 6. Bind the TelemetryCounters Durable Object class (exported below) as TELEMETRY_COUNTERS,
+ *    with a migration that creates it, e.g. in wrangler.toml:
+ *      [[durable_objects.bindings]]
+ *      name = "TELEMETRY_COUNTERS"
+ *      class_name = "TelemetryCounters"
+ *      [[migrations]]
+ *      tag = "v1"
+ *      new_sqlite_classes = ["TelemetryCounters"]
+ *    Bind the RateLimiter class the same way as RATE_LIMITER (optional — without it each
+ *    isolate enforces the limits on its own):
+ *      [[durable_objects.bindings]]
+ *      name = "RATE_LIMITER"
+ *      class_name = "RateLimiter"
+ *      [[migrations]]
+ *      tag = "v2"
+ *      new_sqlite_classes = ["RateLimiter"]
+ * 7. Add a cron trigger for the daily cleanup of expired codes, e.g. in wrangler.toml:
+ *      [triggers]
+ *      crons = ["17 3 * * *"]
+ * 8. Add routes:
  *    - pt-onia.app/s/*              -> this worker
  *    - pt-onia.app/api/shorten      -> this worker
  *    - pt-onia.app/api/resolve/*    -> this worker
+ *    - pt-onia.app/api/revisions/*  -> this worker
  *    - pt-onia.app/api/telemetry    -> this worker
+ *    - pt-onia.app/cal/*            -> this worker
+ *    - pt-onia.app/og/*             -> this worker
  *
  * SHORT URL USAGE:
- * - POST /api/shorten with { "url": "https://pt-onia.app/#..." }
+ * - POST /api/shorten with { "url": "https://pt-onia.app/#...", "expiresInDays": 90 }
  *   Creates a new short URL with a word-based code (e.g. amber-coral-nova)
- *   Returns { "shortUrl": "https://pt-onia.app/s/amber-coral-nova", "code": "amber-coral-nova" }
+ *   Returns { "shortUrl": "https://pt-onia.app/s/amber-coral-nova", "code": "amber-coral-nova", "editToken": "...", "expiresAt": 1700000000000 }
+ *   The edit token is returned only once, on creation. Only its SHA-256 hash is
+ *   stored (as owner:<code>), so keep it client-side to update the code later.
+ *   "expiresInDays" is optional: 30, 90 or 365, or null/omitted for a link that never expires.
+ *   A URL that already has a read-only code (published, or from before edit tokens) is answered
+ *   with that code ("existing": true, no edit token) unless "fork": true asks for a new code the
+ *   caller owns, or the new link is to expire.
  *
- * - PUT /api/shorten with { "code": "amber-coral-nova", "url": "https://pt-onia.app/#newstate" }
- *   Updates an existing short code to point to a new URL.
- *   Returns { "shortUrl": "...", "code": "...", "updated": true }
+ * - PUT /api/shorten with { "code": "amber-coral-nova", "url": "https://pt-onia.app/#newstate", "token": "..." }
+ *   Updates an existing short code to point to a new URL. Requires the code's edit token.
+ *   Add "publish": true to switch the code to read-only "published" mode (one-way).
+ *   Returns { "shortUrl": "...", "code": "...", "updated": true, "published": false }
+ *   403 if the token is missing/wrong (or the code predates edit tokens), 409 if published.
+ *   Add "expiresInDays" (30, 90, 365 or null) to set the expiry again, counted from now;
+ *   with no "url" this only extends the link, which also works once it is published.
  *
  * - GET /api/resolve/<code>
- *   Returns JSON { "url": "https://pt-onia.app/#..." } without redirecting.
+ *   Returns JSON { "url": "https://pt-onia.app/#...", "published": false, "expiresAt": null } without redirecting.
  *   Allows the frontend to resolve the state and stay on /s/<code>.
+ *   Add ?rev=<n> to fetch an older revision instead of the current URL.
+ *
+ * - GET /api/revisions/<code>
+ *   Returns { "code": "...", "current": 4, "revisions": [{ "rev": 4, "ts": 1700000000000 }, ...] }
+ *   newest first. Every create/update appends a revision (stored as rev:<code>);
+ *   only the most recent 20 are kept.
  *
  * - GET /s/<code>
  *   If browser (Accept: text/html): serves the SPA index.html (browser stays on /s/<code>).
  *   If API/non-browser: 302 redirect to the long URL.
  *
+ * EXPIRY & CLEANUP:
+ * - Each code has meta:<code> holding when it was created, last resolved (stamped at most
+ *   daily) and when it expires. Expired codes answer like unknown ones straight away.
+ * - The scheduled handler checks 500 codes per run and deletes the expired ones (code:, owner:,
+ *   rev:, meta:, their feed links and their hash: entry), then checks 500 hash: reverse lookups, removing ones
+ *   whose code is gone or now points at a different URL. Each picks up where the last run stopped.
+ *
+ * CALENDAR FEED USAGE:
+ * - POST /api/calendar-feed with { "code": "amber-coral-nova" }
+ *   Returns { "feedUrl": "https://pt-onia.app/cal/<feedId>.ics" }, the same URL every time for
+ *   a code. The feed id is random (stored as feed:<feedId> and feedid:<code>), so someone given
+ *   a busy-only feed can't work out the short code and open the full plan.
+ * - GET /cal/<feedId>.ics
+ *   A subscribable iCalendar feed of the plan currently saved under the feed's code, decoded
+ *   server-side with the same logic the page uses for .ics exports. The plan's owner
+ *   picks what it shows (saved in the plan as "cf"): "busy" (default) gives anonymous
+ *   Busy blocks with no type names or balances, "full" gives per-type events and
+ *   scheduled days off, "off" returns 404.
+ *
+ * LINK PREVIEWS:
+ * - /s/<code> pages (also served to link-preview crawlers) carry Open Graph and Twitter
+ *   tags for the plan: a title like "Time off plan 2026 — 24 days off, longest break 10 days"
+ *   and an image of the year calendar.
+ * - GET /og/<code>.png?v=<version>
+ *   The 1200×630 calendar image, rendered in the worker and cached per version of the
+ *   plan (other versions redirect to the current one). Plans saved with link previews set
+ *   to "private" ("lp" in the plan) get a generic card instead, and this returns 404.
+ *
  * SHORT CODE FORMAT:
  * - New codes: word-based, 3 hyphen-separated words (e.g. amber-coral-nova)
  * - Legacy codes: 6 alphanumeric characters (e.g. AbC123)
  * - Both formats are accepted everywhere
  *
- * RATE LIMITS:
- * - CREATE (POST /api/shorten): 5 requests/minute per IP
- * - UPDATE (PUT /api/shorten): 20 requests/minute per IP
- * - Telemetry: 30 requests/minute per IP
+ * RATE LIMITS (sliding window, per IP):
+ * - CREATE (POST /api/shorten): 5 requests/minute — override with RATE_LIMIT_SHORTEN_CREATE
+ * - UPDATE (PUT /api/shorten): 20 requests/minute — override with RATE_LIMIT_SHORTEN_UPDATE
+ * - Calendar feed links (POST /api/calendar-feed): 20 requests/minute — override with RATE_LIMIT_CALENDAR_FEED
+ * - Telemetry: 30 requests/minute — override with RATE_LIMIT_TELEMETRY
+ * - Overrides are "<requests>/<seconds>", e.g. RATE_LIMIT_SHORTEN_CREATE = "10/60"
+ * - A 429 carries Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ *   RateLimit-Policy headers, and { error, retryAfter } in the body.
  *
  * TELEMETRY USAGE:
  * - POST /api/telemetry — increment counters (batched from client)
  *   Body: { "increments": { "saveClicks": 2, ... }, "nested": { "theme": { "dark-default": 1 } } }
+ *   Totals are kept in one Durable Object, which applies batches one at a time so
+ *   concurrent posts are all counted.
  * - GET  /api/telemetry — retrieve all sitewide totals
+ * - GET  /api/telemetry?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month
+ *   Returns { from, to, granularity, periods: [{ start, counters }], totals } from daily
+ *   UTC buckets (kept 400 days). Weeks start on Monday. Defaults: the last 30 days, by day.
  * - DELETE /api/telemetry — reset all sitewide counters (admin)
+ *   Add ?metric=<key> to reset one counter (or nested group), and/or ?from=&to= to remove
+ *   only the counts recorded in that date range.
  *
  * PRIVACY:
  * - Only anonymous aggregated counters are stored.
  * - No IPs, fingerprints, or personal data are persisted.
- * - Rate limiting uses in-memory counters (not stored).
+ * - Rate limiting keys its Durable Objects by a hash of bucket and IP; the request
+ *   timestamps they hold are deleted once the window has passed.
  */
 
+import './plan-core.js';
+
 const DOMAIN = 'https://pt-onia.app';
 const APP_ORIGIN = DOMAIN;
 const SHORT_CODE_LENGTH = 6;
@@ -80,6 +162,20 @@ const API_SECURITY_HEADERS = {
     'Content-Security-Policy': "default-src 'none'; base-uri 'none'; frame-ancestors 'none'; form-action 'none'",
 };
 const REDIRECT_CACHE_SECONDS = 300;
+const EDIT_TOKEN_BYTES = 24;
+const FEED_ID_BYTES = 16;
+const FEED_ID_REGEX = /^[A-Za-z0-9_-]{22}$/;
+const OWNER_MODE_EDIT = 'edit';
+const OWNER_MODE_PUBLISHED = 'published';
+const MAX_REVISIONS = 20;
+const CALENDAR_FEED_CACHE_SECONDS = 300;
+const CALENDAR_FEED_REFRESH_HOURS = 6;
+const SHORT_CODE_EXPIRY_DAYS = [30, 90, 365]; // the expiries a code can be given; null = never
+const ACCESS_RECORD_INTERVAL_MS = 86400000;
+const GC_META_BATCH = 500; // meta: entries checked for expiry per cleanup run
+const GC_META_CURSOR_KEY = 'gc:meta-cursor';
+const GC_HASH_BATCH = 500; // hash: entries checked per cleanup run
+const GC_HASH_CURSOR_KEY = 'gc:hash-cursor';
 
 // ── Word-based short code wordlist (~200 words) ────────────────────────────
 const WORDLIST = [
@@ -173,15 +269,125 @@ function generateShortCode() {
     return code;
 }
 
-// Hash a URL to create a short key for reverse lookups (avoids KV 512-byte key limit)
-async function hashUrl(url) {
+async function sha256Hex(value) {
     const encoder = new TextEncoder();
-    const data = encoder.encode(url);
+    const data = encoder.encode(value);
     const hashBuffer = await crypto.subtle.digest('SHA-256', data);
     const hashArray = Array.from(new Uint8Array(hashBuffer));
     return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+// Hash a URL to create a short key for reverse lookups (avoids KV 512-byte key limit)
+async function hashUrl(url) {
+    return sha256Hex(url);
+}
+
+// ── Edit tokens ────────────────────────────────────────────────────────────
+// Each code created via POST gets a random edit token. Only the hash is kept
+// in SHORT_URLS under owner:<code> as { tokenHash, mode }.
+
+function randomBase64Url(byteCount) {
+    const bytes = new Uint8Array(byteCount);
+    crypto.getRandomValues(bytes);
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function generateEditToken() {
+    return randomBase64Url(EDIT_TOKEN_BYTES);
+}
+
+function timingSafeEqualHex(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+async function readOwnerRecord(env, code) {
+    const raw = await withRetry(() => env.SHORT_URLS.get(`owner:${code}`));
+    if (!raw) return null;
+    try {
+        const record = JSON.parse(raw);
+        return isPlainObject(record) && typeof record.tokenHash === 'string' ? record : null;
+    } catch {
+        return null;
+    }
+}
+
+async function hasValidEditToken(ownerRecord, token) {
+    if (!ownerRecord || typeof token !== 'string' || !token || token.length > 128) return false;
+    return timingSafeEqualHex(await sha256Hex(token), ownerRecord.tokenHash);
+}
+
+// Revision list for a code: [{ rev, ts, url }] oldest first, capped at MAX_REVISIONS
+async function readRevisions(env, code) {
+    const raw = await withRetry(() => env.SHORT_URLS.get(`rev:${code}`));
+    if (!raw) return [];
+    try {
+        const list = JSON.parse(raw);
+        return Array.isArray(list) ? list.filter(entry => Number.isInteger(entry?.rev) && typeof entry.url === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+// Codes created before revision tracking have no list yet — seed it with the
+// URL being replaced (timestamp unknown) so the first update is still undoable.
+async function appendRevision(env, code, url, previousUrl = null) {
+    const revisions = await readRevisions(env, code);
+    if (revisions.length === 0 && previousUrl) revisions.push({ rev: 1, ts: null, url: previousUrl });
+    const nextRev = revisions.length ? revisions[revisions.length - 1].rev + 1 : 1;
+    revisions.push({ rev: nextRev, ts: Date.now(), url });
+    await withRetry(() => env.SHORT_URLS.put(`rev:${code}`, JSON.stringify(revisions.slice(-MAX_REVISIONS))));
+    return nextRev;
+}
+
+// ── Expiry & access metadata ───────────────────────────────────────────────
+// meta:<code> is an empty value whose KV metadata is { created, accessed, expiresAt } (ms
+// timestamps; created is null for codes saved before this was tracked, expiresAt null when the
+// link never expires). Keeping it in metadata lets the cleanup job find expired codes from a
+// key listing alone.
+
+function isValidExpiryDays(value) {
+    return value === null || SHORT_CODE_EXPIRY_DAYS.includes(value);
+}
+
+function expiryFromDays(days, now = Date.now()) {
+    return days === null ? null : now + days * 86400000;
+}
+
+function isExpired(meta, now = Date.now()) {
+    return Number.isFinite(meta?.expiresAt) && meta.expiresAt <= now;
+}
+
+async function readShortCodeMeta(env, code) {
+    const { metadata } = await withRetry(() => env.SHORT_URLS.getWithMetadata(`meta:${code}`));
+    return isPlainObject(metadata) ? metadata : null;
+}
+
+function writeShortCodeMeta(env, code, { created = null, accessed = null, expiresAt = null }) {
+    return withRetry(() => env.SHORT_URLS.put(`meta:${code}`, '', { metadata: { created, accessed, expiresAt } }));
+}
+
+// The URL a code points to and its metadata, or null when the code doesn't exist or has
+// expired (the cleanup job may not have removed it yet)
+async function readLiveShortCode(env, code) {
+    const [longUrl, meta] = await Promise.all([
+        withRetry(() => env.SHORT_URLS.get(`code:${code}`)),
+        readShortCodeMeta(env, code),
+    ]);
+    if (!longUrl || isExpired(meta)) return null;
+    return { longUrl, meta };
+}
+
+// Stamps the last access on resolve/redirect, at most once per ACCESS_RECORD_INTERVAL_MS since
+// KV allows only about one write per second to a key. Codes without metadata get it here.
+function recordShortCodeAccess(env, ctx, code, meta) {
+    const now = Date.now();
+    if (meta && now - (meta.accessed || 0) < ACCESS_RECORD_INTERVAL_MS) return;
+    ctx.waitUntil(writeShortCodeMeta(env, code, { ...meta, accessed: now }).catch(() => {}));
+}
+
 function jsonResponse(payload, status = 200, headers = {}, request = null, { allowDeleteCors = false, allowPutCors = false } = {}) {
     const response = new Response(JSON.stringify(payload), {
         status,
@@ -228,33 +434,122 @@ async function withRetry(fn, attempts = 2, delayMs = 50) {
 }
 
 // ── Rate Limiting ──────────────────────────────────────────────────────────
-// In-memory rate limiter — per-IP per-bucket, resets each worker instance / isolate
+// Sliding-window limits per IP and bucket. With the RATE_LIMITER Durable Object bound, every
+// bucket/IP pair gets its own object, so the window is shared by all isolates and locations.
+// Without the binding (local development) the same window is kept in this isolate's memory.
 const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW_MS = 60000;
 
 const RATE_LIMITS = {
-    telemetry: 30,      // 30 requests/minute
-    shortenCreate: 5,   // 5 creates/minute (stricter)
-    shortenUpdate: 20,  // 20 updates/minute (more lenient)
+    telemetry: { limit: 30, windowSeconds: 60 },      // 30 requests/minute
+    shortenCreate: { limit: 5, windowSeconds: 60 },   // 5 creates/minute (stricter)
+    shortenUpdate: { limit: 20, windowSeconds: 60 },  // 20 updates/minute (more lenient)
+    calendarFeed: { limit: 20, windowSeconds: 60 },   // 20 feed links/minute
 };
 
-function isRateLimited(ip, bucket = 'telemetry') {
+const MAX_RATE_LIMIT_WINDOW_SECONDS = 86400;
+
+// Per-bucket overrides from env, "<requests>/<seconds>": RATE_LIMIT_TELEMETRY,
+// RATE_LIMIT_SHORTEN_CREATE, RATE_LIMIT_SHORTEN_UPDATE, RATE_LIMIT_CALENDAR_FEED. Malformed
+// values keep the default.
+function rateLimitConfig(env, bucket) {
+    const fallback = RATE_LIMITS[bucket] || RATE_LIMITS.telemetry;
+    const name = `RATE_LIMIT_${bucket.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`;
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(env?.[name] ?? ''));
+    if (!match) return fallback;
+    const limit = Number(match[1]);
+    const windowSeconds = Number(match[2]);
+    if (limit < 1 || windowSeconds < 1 || windowSeconds > MAX_RATE_LIMIT_WINDOW_SECONDS) return fallback;
+    return { limit, windowSeconds };
+}
+
+// Records one request in `hits` (timestamps in ms, oldest first) unless the window is already
+// full. Shared by the Durable Object and the in-memory stand-in so both count the same way.
+function slidingWindowHit(hits, now, { limit, windowSeconds }) {
+    const windowMs = windowSeconds * 1000;
+    while (hits.length > 0 && hits[0] <= now - windowMs) hits.shift();
+    const limited = hits.length >= limit;
+    if (!limited) hits.push(now);
+    // A slot frees up when the oldest request in the window ages out
+    const resetMs = hits.length > 0 ? hits[0] + windowMs - now : windowMs;
+    return {
+        limited,
+        limit,
+        windowSeconds,
+        remaining: Math.max(0, limit - hits.length),
+        reset: Math.max(1, Math.ceil(resetMs / 1000)),
+    };
+}
+
+function memoryRateLimitHit(key, config) {
     const now = Date.now();
-    const key = `${bucket}:${ip}`;
-    let entry = rateLimitMap.get(key);
-    if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
-        entry = { windowStart: now, count: 0 };
-        rateLimitMap.set(key, entry);
-    }
-    entry.count++;
-    // Periodically prune old entries
+    let hits = rateLimitMap.get(key);
+    if (!hits) {
+        hits = [];
+        rateLimitMap.set(key, hits);
+    }
+    const result = slidingWindowHit(hits, now, config);
+    // Periodically prune keys whose window has passed
     if (rateLimitMap.size > 10000) {
+        const maxWindowMs = MAX_RATE_LIMIT_WINDOW_SECONDS * 1000;
         for (const [k, v] of rateLimitMap) {
-            if (now - v.windowStart > RATE_LIMIT_WINDOW_MS) rateLimitMap.delete(k);
+            if (v.length === 0 || now - v[v.length - 1] > maxWindowMs) rateLimitMap.delete(k);
         }
     }
-    const max = RATE_LIMITS[bucket] || 30;
-    return entry.count > max;
+    return result;
+}
+
+/**
+ * Durable Object holding the sliding window for one bucket/IP pair (named by a hash, so the IP
+ * itself is never stored). POST { limit, windowSeconds } records a request and returns the
+ * rate limit state; an alarm deletes the timestamps once the newest one leaves the window.
+ */
+export class RateLimiter {
+    constructor(state) {
+        this.state = state;
+    }
+
+    async fetch(request) {
+        const config = await request.json();
+        const hits = (await this.state.storage.get('hits')) || [];
+        const result = slidingWindowHit(hits, Date.now(), config);
+        if (!result.limited) {
+            await this.state.storage.put('hits', hits);
+            await this.state.storage.setAlarm(hits[hits.length - 1] + config.windowSeconds * 1000);
+        }
+        return Response.json(result);
+    }
+
+    async alarm() {
+        await this.state.storage.deleteAll();
+    }
+}
+
+async function checkRateLimit(request, env, bucket) {
+    const config = rateLimitConfig(env, bucket);
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    if (!env.RATE_LIMITER) return memoryRateLimitHit(`${bucket}:${ip}`, config);
+    try {
+        const id = env.RATE_LIMITER.idFromName(await sha256Hex(`${bucket}:${ip}`));
+        const response = await env.RATE_LIMITER.get(id).fetch('https://rate-limiter/hit', {
+            method: 'POST',
+            body: JSON.stringify(config),
+        });
+        if (!response.ok) throw new Error(`Rate limiter returned ${response.status}`);
+        return await response.json();
+    } catch {
+        // Shared state unreachable: fall back to this isolate's window rather than failing the request
+        return memoryRateLimitHit(`${bucket}:${ip}`, config);
+    }
+}
+
+function rateLimitedResponse(result, request, corsOptions = {}) {
+    return jsonResponse({ error: 'Rate limited', retryAfter: result.reset }, 429, {
+        'Retry-After': String(result.reset),
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.reset),
+        'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`,
+    }, request, corsOptions);
 }
 
 // ── Short URL handlers ─────────────────────────────────────────────────────
@@ -283,9 +578,9 @@ async function handleShortenCreate(request, env) {
     }
 
     // Rate limit CREATE operations (stricter)
-    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-    if (isRateLimited(ip, 'shortenCreate')) {
-        return jsonResponse({ error: 'Rate limited' }, 429, {}, request);
+    const rateLimit = await checkRateLimit(request, env, 'shortenCreate');
+    if (rateLimit.limited) {
+        return rateLimitedResponse(rateLimit, request);
     }
 
     const { payload, error, status } = await readShortenBody(request);
@@ -300,20 +595,35 @@ async function handleShortenCreate(request, env) {
     if (!longUrl || !isValidAppUrl(longUrl)) {
         return jsonResponse({ error: 'Invalid URL' }, 400, {}, request);
     }
+    const expiresInDays = payload.expiresInDays ?? null;
+    if (!isValidExpiryDays(expiresInDays)) {
+        return jsonResponse({ error: 'Invalid expiry', hint: `Use one of ${SHORT_CODE_EXPIRY_DAYS.join(', ')} days, or null for never` }, 400, {}, request);
+    }
+
+    // A fork always gets its own code, with an edit token, even when the plan is unchanged. So does
+    // a link that is to expire: handing back a permanent code would ignore the expiry asked for.
+    const reuseExisting = payload.fork !== true && expiresInDays === null;
 
     const urlHash = await hashUrl(longUrl);
-    const existingCode = await withRetry(() => env.SHORT_URLS.get(`hash:${urlHash}`));
-    if (existingCode && WORD_CODE_REGEX.test(existingCode)) {
-        // Already has a word-based code — return it
+    const existingCode = reuseExisting ? await withRetry(() => env.SHORT_URLS.get(`hash:${urlHash}`)) : null;
+    const existing = existingCode && WORD_CODE_REGEX.test(existingCode) ? await readLiveShortCode(env, existingCode) : null;
+    // A code its owner can still re-point is never handed to anyone else
+    const existingOwner = existing ? await readOwnerRecord(env, existingCode) : null;
+    const existingReadOnly = !existingOwner || existingOwner.mode === OWNER_MODE_PUBLISHED;
+    if (existing && existing.longUrl === longUrl && !Number.isFinite(existing.meta?.expiresAt) && existingReadOnly) {
+        // Already has a read-only word-based code that won't expire — return it (without
+        // an edit token; the token was only ever handed to whoever created it)
         return jsonResponse({
             shortUrl: `${DOMAIN}/s/${existingCode}`,
             code: existingCode,
             existing: true,
+            expiresAt: null,
         }, 200, {}, request);
     }
-    // If existingCode is a legacy (non-word) code, fall through to create a
-    // new word-based code. The old code stays valid for backward compat but
-    // the hash reverse-lookup will be updated to point to the new code.
+    // If existingCode is a legacy (non-word) code, one that will expire (its owner
+    // controls when) or one its owner can still edit, fall through to create a new
+    // word-based code. The old code stays valid but the hash reverse-lookup will
+    // point to the new code.
 
     // Generate a word-based code, with collision retry and hex fallback
     let shortCode;
@@ -334,15 +644,25 @@ async function handleShortenCreate(request, env) {
         }
     }
 
+    const editToken = generateEditToken();
+    const ownerRecord = { tokenHash: await sha256Hex(editToken), mode: OWNER_MODE_EDIT };
+    const now = Date.now();
+    const expiresAt = expiryFromDays(expiresInDays, now);
+
     await withRetry(() => Promise.all([
         env.SHORT_URLS.put(`code:${shortCode}`, longUrl),
         env.SHORT_URLS.put(`hash:${urlHash}`, shortCode),
+        env.SHORT_URLS.put(`owner:${shortCode}`, JSON.stringify(ownerRecord)),
     ]));
+    await writeShortCodeMeta(env, shortCode, { created: now, expiresAt });
+    await appendRevision(env, shortCode, longUrl);
 
     return jsonResponse({
         shortUrl: `${DOMAIN}/s/${shortCode}`,
         code: shortCode,
         existing: false,
+        editToken,
+        expiresAt,
     }, 200, {}, request);
 }
 
@@ -358,94 +678,199 @@ async function handleShortenUpdate(request, env) {
     }
 
     // Rate limit UPDATE operations (more lenient)
-    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-    if (isRateLimited(ip, 'shortenUpdate')) {
-        return jsonResponse({ error: 'Rate limited' }, 429, {}, request, { allowPutCors: true });
+    const rateLimit = await checkRateLimit(request, env, 'shortenUpdate');
+    if (rateLimit.limited) {
+        return rateLimitedResponse(rateLimit, request, { allowPutCors: true });
     }
 
     const { payload, error, status } = await readShortenBody(request);
     if (error) {
         return jsonResponse({
             error,
-            hint: 'Send body as { "code": "word-word-word", "url": "https://pt-onia.app/#..." }',
+            hint: 'Send body as { "code": "word-word-word", "url": "https://pt-onia.app/#...", "token": "..." }',
         }, status, {}, request, { allowPutCors: true });
     }
 
     const code = payload?.code;
-    const newUrl = payload?.url;
+    const publish = payload?.publish === true;
+    // Present (a number of days, or null for never) when the owner is changing the expiry
+    const expiresInDays = payload?.expiresInDays;
+    // When publishing or changing the expiry, the URL is optional (keep the current mapping as-is)
+    const newUrl = payload?.url ?? (publish || expiresInDays !== undefined ? null : undefined);
 
     if (!code || !isValidShortCode(code)) {
         return jsonResponse({ error: 'Invalid or missing code' }, 400, {}, request, { allowPutCors: true });
     }
-    if (!newUrl || !isValidAppUrl(newUrl)) {
+    if (newUrl !== null && (!newUrl || !isValidAppUrl(newUrl))) {
         return jsonResponse({ error: 'Invalid or missing URL' }, 400, {}, request, { allowPutCors: true });
     }
+    if (expiresInDays !== undefined && !isValidExpiryDays(expiresInDays)) {
+        return jsonResponse({ error: 'Invalid expiry', hint: `Use one of ${SHORT_CODE_EXPIRY_DAYS.join(', ')} days, or null for never` }, 400, {}, request, { allowPutCors: true });
+    }
 
-    // Verify the code exists
-    const oldUrl = await withRetry(() => env.SHORT_URLS.get(`code:${code}`));
-    if (!oldUrl) {
+    // Verify the code exists (and hasn't expired)
+    const live = await readLiveShortCode(env, code);
+    if (!live) {
         return jsonResponse({ error: 'Short code not found' }, 404, {}, request, { allowPutCors: true });
     }
+    const oldUrl = live.longUrl;
+
+    // Only the holder of the edit token may change where a code points.
+    // Codes created before edit tokens existed have no owner record and are read-only.
+    const ownerRecord = await readOwnerRecord(env, code);
+    if (!ownerRecord) {
+        return jsonResponse({ error: 'Short code is read-only', hint: 'Create a new short URL instead' }, 403, {}, request, { allowPutCors: true });
+    }
+    if (!(await hasValidEditToken(ownerRecord, payload?.token))) {
+        return jsonResponse({ error: 'Invalid or missing edit token' }, 403, {}, request, { allowPutCors: true });
+    }
+    // Published codes keep their URL for good, but the owner can still extend them
+    const published = ownerRecord.mode === OWNER_MODE_PUBLISHED;
+    if (published && (publish || newUrl !== null)) {
+        return jsonResponse({ error: 'Short code is published (read-only)', published: true }, 409, {}, request, { allowPutCors: true });
+    }
+
+    if (publish) {
+        await withRetry(() => env.SHORT_URLS.put(`owner:${code}`, JSON.stringify({ ...ownerRecord, mode: OWNER_MODE_PUBLISHED })));
+    }
+
+    let expiresAt = live.meta?.expiresAt ?? null;
+    if (expiresInDays !== undefined) {
+        expiresAt = expiryFromDays(expiresInDays);
+        await writeShortCodeMeta(env, code, { ...live.meta, expiresAt });
+    }
 
     // If the URL hasn't changed, no-op
-    if (oldUrl === newUrl) {
+    if (newUrl === null || oldUrl === newUrl) {
         return jsonResponse({
             shortUrl: `${DOMAIN}/s/${code}`,
             code,
             updated: false,
+            published: publish || published,
+            expiresAt,
             message: 'URL unchanged',
         }, 200, {}, request, { allowPutCors: true });
     }
 
-    // Delete old hash reverse lookup
-    const oldHash = await hashUrl(oldUrl);
-    const newHash = await hashUrl(newUrl);
-
-    await withRetry(() => Promise.all([
-        env.SHORT_URLS.put(`code:${code}`, newUrl),
-        env.SHORT_URLS.delete(`hash:${oldHash}`),
-        env.SHORT_URLS.put(`hash:${newHash}`, code),
-    ]));
-
-    // Invalidate cache for this short code
-    const cacheKey = new Request(`${DOMAIN}/s/${code}`, { method: 'GET' });
-    await caches.default.delete(cacheKey);
+    // Move the hash reverse lookup, leaving alone entries that belong to another code: the old
+    // URL's may point at whichever code was created for it last, the new URL's at a live code
+    // that was saved with it first
+    const oldHashKey = `hash:${await hashUrl(oldUrl)}`;
+    const newHashKey = `hash:${await hashUrl(newUrl)}`;
+    const [oldHashCode, newHashCode] = await Promise.all([
+        withRetry(() => env.SHORT_URLS.get(oldHashKey)),
+        withRetry(() => env.SHORT_URLS.get(newHashKey)),
+    ]);
+    const newHashTaken = !!newHashCode && newHashCode !== code && isValidShortCode(newHashCode) &&
+        (await readLiveShortCode(env, newHashCode))?.longUrl === newUrl;
+
+    const writes = [() => env.SHORT_URLS.put(`code:${code}`, newUrl)];
+    if (oldHashCode === code) writes.push(() => env.SHORT_URLS.delete(oldHashKey));
+    if (!newHashTaken) writes.push(() => env.SHORT_URLS.put(newHashKey, code));
+    await withRetry(() => Promise.all(writes.map(write => write())));
+    const rev = await appendRevision(env, code, newUrl, oldUrl);
+
+    // Invalidate cache for this short code and the preview image of its old URL
+    await Promise.all([
+        caches.default.delete(redirectCacheKey(code)),
+        caches.default.delete(await linkPreviewImageCacheKey(code, oldUrl)),
+    ]);
 
     return jsonResponse({
         shortUrl: `${DOMAIN}/s/${code}`,
         code,
         updated: true,
+        published: publish,
+        expiresAt,
+        rev,
     }, 200, {}, request, { allowPutCors: true });
 }
 
-async function handleResolve(shortCode, request, env) {
+async function handleResolve(shortCode, request, env, ctx) {
     if (!env.SHORT_URLS || !isValidShortCode(shortCode)) {
         return jsonResponse({ error: 'Invalid short code' }, 400, {}, request);
     }
 
-    const longUrl = await withRetry(() => env.SHORT_URLS.get(`code:${shortCode}`));
-    if (!longUrl) {
+    const revParam = new URL(request.url).searchParams.get('rev');
+    const requestedRev = revParam === null ? null : Number(revParam);
+    if (requestedRev !== null && (!Number.isInteger(requestedRev) || requestedRev < 1)) {
+        return jsonResponse({ error: 'Invalid revision' }, 400, {}, request);
+    }
+
+    const [live, ownerRecord] = await Promise.all([
+        readLiveShortCode(env, shortCode),
+        readOwnerRecord(env, shortCode),
+    ]);
+    if (!live) {
         return jsonResponse({ error: 'Short code not found' }, 404, {}, request);
     }
+    recordShortCodeAccess(env, ctx, shortCode, live.meta);
+    const expiresAt = live.meta?.expiresAt ?? null;
+
+    if (requestedRev !== null) {
+        const revision = (await readRevisions(env, shortCode)).find(entry => entry.rev === requestedRev);
+        if (!revision) {
+            return jsonResponse({ error: 'Revision not found', hint: `Only the last ${MAX_REVISIONS} revisions are kept` }, 404, {}, request);
+        }
+        return jsonResponse({
+            url: revision.url,
+            code: shortCode,
+            rev: revision.rev,
+            ts: revision.ts,
+            published: ownerRecord?.mode === OWNER_MODE_PUBLISHED,
+            expiresAt,
+        }, 200, { 'Cache-Control': 'no-store' }, request);
+    }
 
     return jsonResponse({
-        url: longUrl,
+        url: live.longUrl,
         code: shortCode,
+        published: ownerRecord?.mode === OWNER_MODE_PUBLISHED,
+        expiresAt,
     }, 200, { 'Cache-Control': 'no-store' }, request);
 }
 
+async function handleRevisions(shortCode, request, env) {
+    if (!env.SHORT_URLS || !isValidShortCode(shortCode)) {
+        return jsonResponse({ error: 'Invalid short code' }, 400, {}, request);
+    }
+
+    const [live, revisions] = await Promise.all([
+        readLiveShortCode(env, shortCode),
+        readRevisions(env, shortCode),
+    ]);
+    if (!live) {
+        return jsonResponse({ error: 'Short code not found' }, 404, {}, request);
+    }
+
+    // URLs are left out of the listing; fetch one via /api/resolve/<code>?rev=<n>
+    return jsonResponse({
+        code: shortCode,
+        current: revisions.length ? revisions[revisions.length - 1].rev : null,
+        revisions: revisions.map(({ rev, ts }) => ({ rev, ts })).reverse(),
+    }, 200, { 'Cache-Control': 'no-store' }, request);
+}
+
+// Where this data center caches a code's non-browser redirect
+function redirectCacheKey(code) {
+    return new Request(`${DOMAIN}/s/${code}`, { method: 'GET' });
+}
+
 async function handleRedirect(shortCode, env, ctx, request) {
     if (!env.SHORT_URLS || !isValidShortCode(shortCode)) {
         return withResponseHeaders(Response.redirect(DOMAIN, 302), { request });
     }
 
-    // If browser navigation (Accept: text/html), serve the SPA so browser stays on /s/<code>
+    // If browser navigation (Accept: text/html) or a link preview fetch, serve the SPA so the
+    // browser stays on /s/<code> and unfurls get the plan's meta tags
     const accept = request.headers.get('Accept') || '';
-    if (accept.includes('text/html')) {
-        const longUrl = await withRetry(() => env.SHORT_URLS.get(`code:${shortCode}`));
-        if (!longUrl) {
+    if (accept.includes('text/html') || LINK_PREVIEW_BOT_REGEX.test(request.headers.get('User-Agent') || '')) {
+        const live = await readLiveShortCode(env, shortCode);
+        if (!live) {
             return withResponseHeaders(Response.redirect(DOMAIN, 302), { request });
         }
+        const { longUrl, meta } = live;
+        recordShortCodeAccess(env, ctx, shortCode, meta);
 
         // Fetch the origin index.html and serve it at /s/<code>
         // Inject the resolved long URL as a meta tag so the client can
@@ -455,10 +880,18 @@ async function handleRedirect(shortCode, env, ctx, request) {
                 headers: { 'Accept': 'text/html' },
             });
             let html = await originResponse.text();
-            // Inject resolved URL meta tag into <head>
-            const escapedUrl = longUrl.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
-            const metaTag = `<meta name="x-resolved-url" content="${escapedUrl}">`;
+            // Inject resolved URL (and expiry, if any) meta tags into <head>
+            let metaTag = `<meta name="x-resolved-url" content="${escapeHtmlAttr(longUrl)}">`;
+            if (Number.isFinite(meta?.expiresAt)) metaTag += `\n<meta name="x-link-expires" content="${meta.expiresAt}">`;
             html = html.replace('<head>', `<head>\n${metaTag}`);
+            // Per-plan link preview tags, unless the state can't be read
+            let plan = null;
+            try { plan = parsePlanState(new URL(longUrl).hash.slice(1)); } catch { /* invalid URL or state */ }
+            if (plan) {
+                const preview = linkPreviewMetaTags(shortCode, plan, await linkPreviewImageVersion(longUrl));
+                html = html.replace(/<title>[^<]*<\/title>/, `<title>${escapeHtmlAttr(preview.title)}</title>`);
+                html = html.replace('</head>', `${preview.html}\n</head>`);
+            }
             return withResponseHeaders(new Response(html, {
                 status: 200,
                 headers: {
@@ -473,40 +906,493 @@ async function handleRedirect(shortCode, env, ctx, request) {
     }
 
     // Non-browser (API) requests: redirect as before
-    const cacheKey = new Request(`${DOMAIN}/s/${shortCode}`, { method: 'GET' });
+    const cacheKey = redirectCacheKey(shortCode);
     const cached = await caches.default.match(cacheKey);
     if (cached) return cached;
 
-    const longUrl = await withRetry(() => env.SHORT_URLS.get(`code:${shortCode}`));
-    if (longUrl && isValidAppUrl(longUrl)) {
-        const response = withResponseHeaders(Response.redirect(longUrl, 302), { request });
-        response.headers.set('Cache-Control', `public, max-age=${REDIRECT_CACHE_SECONDS}`);
+    const live = await readLiveShortCode(env, shortCode);
+    if (live && isValidAppUrl(live.longUrl)) {
+        recordShortCodeAccess(env, ctx, shortCode, live.meta);
+        // A code that expires is cached no longer than it has left, in every data center — the
+        // cleanup job can only clear the cache where it runs
+        const expiresAt = live.meta?.expiresAt;
+        const maxAge = Number.isFinite(expiresAt)
+            ? Math.max(0, Math.min(REDIRECT_CACHE_SECONDS, Math.floor((expiresAt - Date.now()) / 1000)))
+            : REDIRECT_CACHE_SECONDS;
+        const response = withResponseHeaders(Response.redirect(live.longUrl, 302), { request });
+        response.headers.set('Cache-Control', `public, max-age=${maxAge}`);
         response.headers.set('Vary', 'Accept-Encoding');
-        ctx.waitUntil(caches.default.put(cacheKey, response.clone()));
+        if (maxAge > 0) ctx.waitUntil(caches.default.put(cacheKey, response.clone()));
         return response;
     }
 
     return withResponseHeaders(Response.redirect(DOMAIN, 302), { request });
 }
 
+// ── Cleanup (cron) ─────────────────────────────────────────────────────────
+// Runs from the scheduled handler: removes expired codes from a batch of meta: entries with
+// everything stored for them, then checks a batch of hash: reverse lookups for ones whose code is
+// gone or now points elsewhere.
+
+async function deleteShortCode(env, code) {
+    const [longUrl, feedId] = await Promise.all([
+        withRetry(() => env.SHORT_URLS.get(`code:${code}`)),
+        withRetry(() => env.SHORT_URLS.get(`feedid:${code}`)),
+    ]);
+    const keys = [`code:${code}`, `owner:${code}`, `rev:${code}`, `meta:${code}`];
+    if (feedId) keys.push(`feedid:${code}`, `feed:${feedId}`);
+    if (longUrl) {
+        // Only drop the reverse lookup if it still belongs to this code
+        const hashKey = `hash:${await hashUrl(longUrl)}`;
+        if (await withRetry(() => env.SHORT_URLS.get(hashKey)) === code) keys.push(hashKey);
+    }
+    await withRetry(() => Promise.all(keys.map(key => env.SHORT_URLS.delete(key))));
+    await caches.default.delete(redirectCacheKey(code));
+    if (longUrl) await caches.default.delete(await linkPreviewImageCacheKey(code, longUrl));
+}
+
+// Each run checks GC_META_BATCH codes and keeps its place in GC_META_CURSOR_KEY, so a run stays
+// within the subrequest limit however many codes there are. Expired codes already answer like
+// unknown ones, so waiting a few runs to be deleted changes nothing for visitors.
+async function removeExpiredShortCodes(env, now) {
+    const cursor = await withRetry(() => env.SHORT_URLS.get(GC_META_CURSOR_KEY));
+    const page = await withRetry(() => env.SHORT_URLS.list({ prefix: 'meta:', cursor: cursor || undefined, limit: GC_META_BATCH }));
+    let removed = 0;
+    for (const { name, metadata } of page.keys) {
+        if (!isExpired(metadata, now)) continue;
+        await deleteShortCode(env, name.slice('meta:'.length));
+        removed++;
+    }
+    if (page.list_complete) await withRetry(() => env.SHORT_URLS.delete(GC_META_CURSOR_KEY));
+    else await withRetry(() => env.SHORT_URLS.put(GC_META_CURSOR_KEY, page.cursor));
+    return removed;
+}
+
+// A reverse lookup dangles once its code is gone or saved with another URL — left behind by
+// legacy codes replaced with word codes, expired codes and racing updates. Each run checks
+// GC_HASH_BATCH of them and keeps its place in GC_HASH_CURSOR_KEY for the next run.
+async function removeDanglingHashes(env) {
+    const cursor = await withRetry(() => env.SHORT_URLS.get(GC_HASH_CURSOR_KEY));
+    const page = await withRetry(() => env.SHORT_URLS.list({ prefix: 'hash:', cursor: cursor || undefined, limit: GC_HASH_BATCH }));
+    let removed = 0;
+    for (const { name } of page.keys) {
+        const code = await withRetry(() => env.SHORT_URLS.get(name));
+        const live = code && isValidShortCode(code) ? await readLiveShortCode(env, code) : null;
+        if (live && `hash:${await hashUrl(live.longUrl)}` === name) continue;
+        await withRetry(() => env.SHORT_URLS.delete(name));
+        removed++;
+    }
+    if (page.list_complete) await withRetry(() => env.SHORT_URLS.delete(GC_HASH_CURSOR_KEY));
+    else await withRetry(() => env.SHORT_URLS.put(GC_HASH_CURSOR_KEY, page.cursor));
+    return removed;
+}
+
+// Returns how many expired codes and dangling hash entries this run removed
+async function cleanupShortUrls(env, now = Date.now()) {
+    if (!env.SHORT_URLS) return { expired: 0, dangling: 0 };
+    const expired = await removeExpiredShortCodes(env, now);
+    const dangling = await removeDanglingHashes(env);
+    return { expired, dangling };
+}
+
+// ── Calendar feed ──────────────────────────────────────────────────────────
+const { BUILTIN_TYPES, parsePlanState, planCalendar, icsDate, icsDateSpan, timeOffEvents, buildICS } = globalThis.PlanCore;
+
+// The feed link for a live code, minted the first time it's asked for. Two first requests racing
+// each mint one; both links work and the later becomes the one handed out from then on.
+async function handleCalendarFeedLink(request, env) {
+    if (!requestLooksSameOrigin(request)) {
+        return jsonResponse({ error: 'Forbidden origin' }, 403, {}, request);
+    }
+    if (!env.SHORT_URLS) {
+        return jsonResponse({ error: 'KV namespace not configured' }, 500, {}, request);
+    }
+
+    const rateLimit = await checkRateLimit(request, env, 'calendarFeed');
+    if (rateLimit.limited) {
+        return rateLimitedResponse(rateLimit, request);
+    }
+
+    const { payload, error, status } = await readShortenBody(request);
+    if (error) {
+        return jsonResponse({ error, hint: 'Send body as { "code": "word-word-word" }' }, status, {}, request);
+    }
+    const code = payload?.code;
+    if (typeof code !== 'string' || !isValidShortCode(code) || !(await readLiveShortCode(env, code))) {
+        return jsonResponse({ error: 'Short code not found' }, 404, {}, request);
+    }
+
+    let feedId = await withRetry(() => env.SHORT_URLS.get(`feedid:${code}`));
+    if (!feedId) {
+        feedId = randomBase64Url(FEED_ID_BYTES);
+        await withRetry(() => Promise.all([
+            env.SHORT_URLS.put(`feed:${feedId}`, code),
+            env.SHORT_URLS.put(`feedid:${code}`, feedId),
+        ]));
+    }
+    return jsonResponse({ feedUrl: `${DOMAIN}/cal/${feedId}.ics` }, 200, { 'Cache-Control': 'no-store' }, request);
+}
+
+async function handleCalendarFeed(feedId, request, env) {
+    const notFound = () => withResponseHeaders(new Response('Calendar not found', {
+        status: 404,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': `public, max-age=${CALENDAR_FEED_CACHE_SECONDS}` },
+    }), { request });
+    if (!env.SHORT_URLS || !FEED_ID_REGEX.test(feedId)) return notFound();
+    const shortCode = await withRetry(() => env.SHORT_URLS.get(`feed:${feedId}`));
+    if (!shortCode || !isValidShortCode(shortCode)) return notFound();
+
+    const longUrl = (await readLiveShortCode(env, shortCode))?.longUrl;
+    let plan = null;
+    try { plan = longUrl ? parsePlanState(new URL(longUrl).hash.slice(1)) : null; } catch { /* invalid URL or state */ }
+    if (!plan || plan.calendarFeed === 'off') return notFound();
+
+    // Years covered: the plan's year plus any year with a selection
+    const typeIds = [...BUILTIN_TYPES, ...plan.customTypes.map(ct => ct.id)];
+    const years = new Set(plan.year !== null ? [plan.year] : []);
+    typeIds.forEach(typeId => plan.selectedDays[typeId].forEach(key => years.add(Number(key.slice(0, 4)))));
+    Object.keys(plan.partialDays).forEach(key => years.add(Number(key.slice(0, 4))));
+    if (years.size === 0) years.add(new Date().getFullYear());
+    const from = Math.min(...years), to = Math.max(...years);
+
+    const cal = planCalendar(plan, from, to);
+    const events = timeOffEvents({
+        ...cal,
+        // Balances depend on accrual settings the page works out, so the feed only counts days and hours
+        describe: (typeId, keys) => {
+            const partial = keys.length === 1 ? cal.partialDays[keys[0]]?.find(e => e.type === typeId) : null;
+            return `${cal.typeName(typeId)}: ${partial ? `${+partial.hours.toFixed(2)}h` : `${keys.length}d`}`;
+        },
+        // Nothing in the feed may give away the short code, UIDs included
+        uid: (...parts) => `${[feedId, ...parts].join('-')}@pt-onia.app`,
+    }, { splitTypes: true, busyOnly: plan.calendarFeed === 'busy' });
+
+    if (plan.calendarFeed === 'full') {
+        const dayOffLabel = cal.dayOffLabel;
+        Object.keys(cal.daysOff).sort().forEach(key => {
+            events.push({
+                uid: `${feedId}-dayoff-${icsDate(key)}@pt-onia.app`,
+                ...icsDateSpan(key),
+                summary: `${dayOffLabel}${dayOffLabel.endsWith(' off') ? '' : ' off'}`,
+                description: 'Scheduled compressed workweek day off',
+            });
+        });
+    }
+
+    const ics = buildICS(events, { name: 'Time off', refreshHours: CALENDAR_FEED_REFRESH_HOURS });
+    return withResponseHeaders(new Response(ics, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="time-off.ics"',
+            'Cache-Control': `public, max-age=${CALENDAR_FEED_CACHE_SECONDS}`,
+        },
+    }), { request });
+}
+
+// ── Link previews ──────────────────────────────────────────────────────────
+// Open Graph / Twitter tags for /s/<code> pages, and the year calendar image they point to at
+// /og/<code>.png — drawn pixel by pixel with a 5×7 bitmap font, since workers have no canvas.
+const { planSummary, dateKey } = globalThis.PlanCore;
+const OG_IMAGE_WIDTH = 1200;
+const OG_IMAGE_HEIGHT = 630;
+const OG_IMAGE_CACHE_SECONDS = 86400; // image URLs carry a version of the plan, so they can be cached
+const OG_FALLBACK_IMAGE = `${DOMAIN}/web-app-manifest-512x512.png`;
+// Chat apps and social sites fetching a link to unfurl it rarely send Accept: text/html
+const LINK_PREVIEW_BOT_REGEX = /bot\b|Slackbot|facebookexternalhit|Facebot|WhatsApp|Discordbot|TelegramBot|LinkedInBot|Twitterbot|SkypeUriPreview|Embedly|Iframely|Mastodon|Pinterest|redditbot|Applebot|vkShare|Google-PageRenderer/i;
+const SHORT_MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Columns of each glyph, low bit at the top
+const OG_FONT = {
+    'A': [0x7c, 0x12, 0x11, 0x12, 0x7c], 'B': [0x7f, 0x49, 0x49, 0x49, 0x36], 'C': [0x3e, 0x41, 0x41, 0x41, 0x22],
+    'D': [0x7f, 0x41, 0x41, 0x22, 0x1c], 'E': [0x7f, 0x49, 0x49, 0x49, 0x41], 'F': [0x7f, 0x09, 0x09, 0x09, 0x01],
+    'G': [0x3e, 0x41, 0x49, 0x49, 0x7a], 'H': [0x7f, 0x08, 0x08, 0x08, 0x7f], 'I': [0x00, 0x41, 0x7f, 0x41, 0x00],
+    'J': [0x20, 0x40, 0x41, 0x3f, 0x01], 'K': [0x7f, 0x08, 0x14, 0x22, 0x41], 'L': [0x7f, 0x40, 0x40, 0x40, 0x40],
+    'M': [0x7f, 0x02, 0x0c, 0x02, 0x7f], 'N': [0x7f, 0x04, 0x08, 0x10, 0x7f], 'O': [0x3e, 0x41, 0x41, 0x41, 0x3e],
+    'P': [0x7f, 0x09, 0x09, 0x09, 0x06], 'Q': [0x3e, 0x41, 0x51, 0x21, 0x5e], 'R': [0x7f, 0x09, 0x19, 0x29, 0x46],
+    'S': [0x46, 0x49, 0x49, 0x49, 0x31], 'T': [0x01, 0x01, 0x7f, 0x01, 0x01], 'U': [0x3f, 0x40, 0x40, 0x40, 0x3f],
+    'V': [0x1f, 0x20, 0x40, 0x20, 0x1f], 'W': [0x3f, 0x40, 0x38, 0x40, 0x3f], 'X': [0x63, 0x14, 0x08, 0x14, 0x63],
+    'Y': [0x07, 0x08, 0x70, 0x08, 0x07], 'Z': [0x61, 0x51, 0x49, 0x45, 0x43],
+    '0': [0x3e, 0x51, 0x49, 0x45, 0x3e], '1': [0x00, 0x42, 0x7f, 0x40, 0x00], '2': [0x42, 0x61, 0x51, 0x49, 0x46],
+    '3': [0x21, 0x41, 0x45, 0x4b, 0x31], '4': [0x18, 0x14, 0x12, 0x7f, 0x10], '5': [0x27, 0x45, 0x45, 0x45, 0x39],
+    '6': [0x3c, 0x4a, 0x49, 0x49, 0x30], '7': [0x01, 0x71, 0x09, 0x05, 0x03], '8': [0x36, 0x49, 0x49, 0x49, 0x36],
+    '9': [0x06, 0x49, 0x49, 0x29, 0x1e], '-': [0x08, 0x08, 0x08, 0x08, 0x08], '.': [0x00, 0x60, 0x60, 0x00, 0x00],
+    '·': [0x00, 0x00, 0x18, 0x18, 0x00], '/': [0x20, 0x10, 0x08, 0x04, 0x02], '&': [0x36, 0x49, 0x55, 0x22, 0x50],
+};
+
+function escapeHtmlAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function parseHexColor(value, fallback = [156, 163, 175]) {
+    const match = /^#([0-9a-f]{6})$/i.exec(value || '');
+    if (!match) return fallback;
+    const n = parseInt(match[1], 16);
+    return [n >> 16, (n >> 8) & 255, n & 255];
+}
+
+function mixColor(color, toward, amount) {
+    return color.map((channel, i) => Math.round(channel + (toward[i] - channel) * amount));
+}
+
+// Title and description for an unfurled short link, or null when the plan keeps its details private
+function linkPreviewText(plan) {
+    if (plan.linkPreview === 'private') return null;
+    const { year, timeOffDays, longestBreak, breaks } = planSummary(plan);
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    return {
+        title: timeOffDays > 0
+            ? `Time off plan ${year} — ${plural(timeOffDays, 'day')} off, longest break ${plural(longestBreak, 'day')}`
+            : `Time off plan ${year}`,
+        description: timeOffDays > 0
+            ? `${plural(breaks, 'break')} of 4+ days. Open the plan to see the calendar and balances.`
+            : 'Open the plan to see the calendar and balances.',
+    };
+}
+
+function linkPreviewMetaTags(shortCode, plan, imageVersion) {
+    const text = linkPreviewText(plan);
+    const title = text?.title || 'Time off plan';
+    const description = text?.description || 'A shared time off plan. Open it to view and save a copy.';
+    const image = text ? `${DOMAIN}/og/${shortCode}.png?v=${imageVersion}` : OG_FALLBACK_IMAGE;
+    const tags = [
+        ['property', 'og:type', 'website'],
+        ['property', 'og:site_name', 'pt-onia'],
+        ['property', 'og:url', `${DOMAIN}/s/${shortCode}`],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:image', image],
+        ...(text ? [['property', 'og:image:width', OG_IMAGE_WIDTH], ['property', 'og:image:height', OG_IMAGE_HEIGHT], ['property', 'og:image:alt', `Year calendar of the ${title.toLowerCase()}`]] : []),
+        ['name', 'twitter:card', text ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image],
+    ];
+    return {
+        title,
+        html: tags.map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtmlAttr(value)}">`).join('\n'),
+    };
+}
+
+function createRaster(width, height, background) {
+    const pixels = new Uint8Array(width * height * 3);
+    for (let i = 0; i < pixels.length; i += 3) pixels.set(background, i);
+    const fillRect = (x, y, w, h, color) => {
+        const x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+        const x1 = Math.min(width, Math.round(x + w)), y1 = Math.min(height, Math.round(y + h));
+        for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) pixels.set(color, (py * width + px) * 3);
+        }
+    };
+    // Characters missing from OG_FONT are left blank; returns the width drawn
+    const text = (value, x, y, scale, color) => {
+        [...String(value).toUpperCase()].forEach((char, i) => {
+            (OG_FONT[char] || []).forEach((column, cx) => {
+                for (let cy = 0; cy < 7; cy++) {
+                    if (column & (1 << cy)) fillRect(x + (i * 6 + cx) * scale, y + cy * scale, scale, scale, color);
+                }
+            });
+        });
+        return String(value).length * 6 * scale - scale;
+    };
+    return { width, height, pixels, fillRect, text };
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// 8-bit RGB PNG; scanlines use filter type 0 and are zlib-compressed with CompressionStream
+async function encodePng({ width, height, pixels }) {
+    const stride = width * 3;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    const compressed = new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolor
+    const parts = [new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]), pngChunk('IHDR', header), pngChunk('IDAT', compressed), pngChunk('IEND', new Uint8Array(0))];
+    const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => { png.set(part, offset); offset += part.length; });
+    return png;
+}
+
+// The plan's year as twelve month grids (two rows of six), in the page's light theme colors
+function renderPlanImage(plan) {
+    const summary = planSummary(plan);
+    const { year } = summary;
+    const cal = planCalendar(plan, year, year);
+    const white = [255, 255, 255];
+    const ink = [17, 24, 39];
+    const muted = [107, 114, 128];
+    const colors = {
+        workday: [229, 231, 235],
+        weekend: [243, 244, 246],
+        holiday: [147, 197, 253],
+        dayOff: [203, 213, 225],
+    };
+    const image = createRaster(OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT, [248, 250, 252]);
+    image.text(`Time off plan ${year}`, 60, 48, 6, ink);
+    if (summary.timeOffDays > 0) {
+        image.text(`${summary.timeOffDays} days off · longest break ${summary.longestBreak} days`, 60, 112, 3, muted);
+    }
+    const site = 'pt-onia.app';
+    image.text(site, OG_IMAGE_WIDTH - 60 - (site.length * 6 * 3 - 3), 60, 3, muted);
+
+    const typeByDay = new Map();
+    cal.typeIds.forEach(typeId => cal.selectedDays[typeId].forEach(key => { if (!typeByDay.has(key)) typeByDay.set(key, typeId); }));
+    const usedTypes = new Set(typeByDay.values());
+    Object.values(cal.partialDays).forEach(entries => entries.forEach(e => usedTypes.add(e.type)));
+
+    const cell = 20, pitch = 24, monthWidth = 7 * pitch, gridTop = 170, rowHeight = 190;
+    const columnGap = (OG_IMAGE_WIDTH - 120 - 6 * monthWidth) / 5;
+    for (let month = 0; month < 12; month++) {
+        const left = 60 + (month % 6) * (monthWidth + columnGap);
+        const top = gridTop + Math.floor(month / 6) * rowHeight;
+        image.text(SHORT_MONTH_NAMES[month], left, top, 2, ink);
+        const first = new Date(year, month, 1);
+        // Weeks start on Sunday, as in the page's calendars
+        const offset = first.getDay();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const key = dateKey(new Date(year, month, day));
+            const slot = offset + day - 1;
+            const x = left + (slot % 7) * pitch;
+            const y = top + 24 + Math.floor(slot / 7) * pitch;
+            const dow = slot % 7;
+            let color = dow === 0 || dow === 6 ? colors.weekend : colors.workday;
+            if (cal.daysOff[key]) color = colors.dayOff;
+            if (cal.holidays[key]) color = colors.holiday;
+            const typeId = typeByDay.get(key);
+            if (typeId) color = parseHexColor(cal.typeColor(typeId));
+            image.fillRect(x, y, cell, cell, color);
+            // Partial days fill the bottom half in the (lightened) color of their first entry
+            const partial = cal.partialDays[key];
+            if (!typeId && partial?.length) image.fillRect(x, y + cell / 2, cell, cell / 2, mixColor(parseHexColor(cal.typeColor(partial[0].type)), white, 0.25));
+        }
+    }
+
+    // Legend: the types on the calendar, then holidays and scheduled days off
+    const legend = [
+        ...[...usedTypes].map(typeId => [cal.typeName(typeId), parseHexColor(cal.typeColor(typeId))]),
+        ['Holiday', colors.holiday],
+    ];
+    if (Object.keys(cal.daysOff).length > 0) legend.push([cal.dayOffLabel, colors.dayOff]);
+    let x = 60;
+    legend.forEach(([label, color]) => {
+        if (x > OG_IMAGE_WIDTH - 200) return;
+        image.fillRect(x, 578, 16, 16, color);
+        x += 26 + image.text(label.slice(0, 18), x + 24, 580, 2, muted) + 30;
+    });
+    return image;
+}
+
+async function handleLinkPreviewImage(shortCode, request, env, ctx) {
+    const notFound = () => withResponseHeaders(new Response('Preview not found', {
+        status: 404,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': `public, max-age=${REDIRECT_CACHE_SECONDS}` },
+    }), { request });
+    if (!env.SHORT_URLS || !isValidShortCode(shortCode)) return notFound();
+
+    // The code is checked before the cache, so an image stops being served as soon as its code
+    // expires, is removed or has its plan made private
+    const longUrl = (await readLiveShortCode(env, shortCode))?.longUrl;
+    let plan = null;
+    try { plan = longUrl ? parsePlanState(new URL(longUrl).hash.slice(1)) : null; } catch { /* invalid URL or state */ }
+    if (!plan || plan.linkPreview === 'private') return notFound();
+
+    // Only the current version is rendered and cached; older ones point at it
+    const version = await linkPreviewImageVersion(longUrl);
+    if (new URL(request.url).searchParams.get('v') !== version) {
+        return withResponseHeaders(Response.redirect(`${DOMAIN}/og/${shortCode}.png?v=${version}`, 302), { request });
+    }
+
+    const cacheKey = await linkPreviewImageCacheKey(shortCode, longUrl);
+    const cached = await caches.default.match(cacheKey);
+    if (cached) return cached;
+
+    const png = await encodePng(renderPlanImage(plan));
+    const response = withResponseHeaders(new Response(png, {
+        status: 200,
+        headers: {
+            'Content-Type': 'image/png',
+            'Cache-Control': `public, max-age=${OG_IMAGE_CACHE_SECONDS}`,
+        },
+    }), { request });
+    ctx.waitUntil(caches.default.put(cacheKey, response.clone()));
+    return response;
+}
+
+async function linkPreviewImageVersion(longUrl) {
+    return (await hashUrl(longUrl)).slice(0, 12);
+}
+
+// Where this data center caches the image for a code saved with longUrl
+async function linkPreviewImageCacheKey(code, longUrl) {
+    return new Request(`${DOMAIN}/og/${code}.png?v=${await linkPreviewImageVersion(longUrl)}`, { method: 'GET' });
+}
+
 // ── Telemetry ──────────────────────────────────────────────────────────────
-const TELEMETRY_KV_KEY = 'counters_v1';
+// Sitewide counters live in one TelemetryCounters Durable Object. It runs one event at a time, so
+// concurrent batches each add to the latest totals instead of overwriting each other's writes the
+// way a read-modify-write on a single KV key did.
+const TELEMETRY_COUNTER_NAME = 'sitewide';
+const TELEMETRY_STORAGE_KEY = 'counters';
+// Counters from before the Durable Object, imported once when its storage is empty
+const LEGACY_TELEMETRY_KV_KEY = 'counters_v1';
 
 // Allowed top-level counter keys (flat increments). Reject anything else.
 const ALLOWED_FLAT_KEYS = new Set([
     'totalSessions', 'totalActiveMs', 'sessionsOver5Min',
     'saveClicks', 'saveUsedSessions',
     'units_hours', 'units_days',
-    'customTypeCreateAttempts', 'customTypeCreatedCount',
+    'customTypeCreateAttempts', 'customTypeCreatedCount', 'customHolidayCreatedCount',
     'opportunityClickCount', 'clearAllSelectionsCount',
+    'autoPlanRunCount', 'autoPlanAppliedCount', 'partialDaySavedCount', 'icsImportCount', 'calendarFeedCopyCount', 'teamMemberAddedCount', 'scenarioCreatedCount', 'undoCount', 'redoCount',
     'returningVisitsCount', 'errorsCaughtCount',
 ]);
 // Allowed nested groups
-const ALLOWED_NESTED_GROUPS = new Set(['theme', 'quickSelect']);
+const ALLOWED_NESTED_GROUPS = new Set(['theme', 'quickSelect', 'holidaySet']);
 const RESERVED_OBJECT_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
 const MAX_TELEMETRY_PAYLOAD_CHARS = 32768;
 const MAX_NESTED_KEYS_PER_GROUP = 100;
 
+// Stored counters carry the schema they were written with. When a change to ALLOWED_FLAT_KEYS or
+// ALLOWED_NESTED_GROUPS needs existing totals renamed, merged or dropped, bump the version and add
+// a migration from the previous one; stored counters are upgraded the next time they're loaded.
+const TELEMETRY_SCHEMA_VERSION = 2;
+const TELEMETRY_SCHEMA_MIGRATIONS = {
+    // 1 → 2: the KV blob kept whatever keys were allowed at the time; keep only current ones
+    2: counters => Object.fromEntries(Object.entries(counters).filter(([key, value]) =>
+        ALLOWED_FLAT_KEYS.has(key) ? Number.isFinite(value) : ALLOWED_NESTED_GROUPS.has(key) && isPlainObject(value))),
+};
+
 function isPlainObject(value) {
     return !!value && typeof value === 'object' && !Array.isArray(value);
 }
@@ -518,48 +1404,16 @@ function isSafeNestedMetricKey(key) {
         !RESERVED_OBJECT_KEYS.has(key);
 }
 
-async function handleTelemetryPost(request, env) {
-    if (!requestLooksSameOrigin(request)) {
-        return jsonResponse({ error: 'Forbidden origin' }, 403, {}, request, { allowDeleteCors: true });
-    }
-    if (!env.TELEMETRY) {
-        return jsonResponse({ error: 'TELEMETRY KV namespace not configured' }, 500, {}, request, { allowDeleteCors: true });
-    }
-
-    // Rate limit by IP (IP is read but NEVER stored)
-    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-    if (isRateLimited(ip, 'telemetry')) {
-        return jsonResponse({ error: 'Rate limited' }, 429, {}, request, { allowDeleteCors: true });
-    }
-
-    let payload;
-    try {
-        const rawBody = await request.text();
-        if (rawBody.length > MAX_TELEMETRY_PAYLOAD_CHARS) {
-            return jsonResponse({ error: 'Payload too large' }, 413, {}, request, { allowDeleteCors: true });
-        }
-        payload = JSON.parse(rawBody);
-    } catch {
-        return jsonResponse({ error: 'Invalid JSON' }, 400, {}, request, { allowDeleteCors: true });
-    }
-
-    // Validate payload shape
-    const increments = payload?.increments;
-    const nested = payload?.nested;
-    if (!increments && !nested) {
-        return jsonResponse({ error: 'Missing increments or nested fields' }, 400, {}, request, { allowDeleteCors: true });
-    }
-
-    // Load current counters from KV
-    let counters;
-    try {
-        const raw = await env.TELEMETRY.get(TELEMETRY_KV_KEY);
-        counters = raw ? JSON.parse(raw) : {};
-    } catch {
-        counters = {};
+function migrateTelemetryCounters(stored) {
+    let counters = isPlainObject(stored?.counters) ? stored.counters : {};
+    const schema = Number.isInteger(stored?.schema) ? stored.schema : 1;
+    for (let version = schema + 1; version <= TELEMETRY_SCHEMA_VERSION; version++) {
+        if (TELEMETRY_SCHEMA_MIGRATIONS[version]) counters = TELEMETRY_SCHEMA_MIGRATIONS[version](counters);
     }
-    if (!isPlainObject(counters)) counters = {};
+    return counters;
+}
 
+function applyTelemetryIncrements(counters, increments, nested) {
     // Apply flat increments
     if (isPlainObject(increments)) {
         for (const [key, delta] of Object.entries(increments)) {
@@ -586,9 +1440,261 @@ async function handleTelemetryPost(request, env) {
             }
         }
     }
+}
+
+// ── Daily buckets ──
+// Besides the all-time totals, each UTC day's increments are kept as "day:YYYY-MM-DD" so the dashboard
+// can chart trends. Days older than the retention window are dropped when a new day starts.
+const TELEMETRY_DAY_PREFIX = 'day:';
+const TELEMETRY_RETENTION_DAYS = 400; // a little over a year, for year-over-year comparisons
+const TELEMETRY_GRANULARITIES = ['day', 'week', 'month'];
+const DURABLE_STORAGE_BATCH = 128; // most keys one storage put/delete call accepts
 
-    // Save back to KV
-    await withRetry(() => env.TELEMETRY.put(TELEMETRY_KV_KEY, JSON.stringify(counters)));
+function utcDayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function shiftUtcDay(key, days) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return utcDayKey(date);
+}
+
+function isUtcDayKey(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && utcDayKey(date) === value;
+}
+
+// The day a bucket rolls up into: itself, the Monday of its week or the first of its month
+function telemetryPeriodStart(key, granularity) {
+    if (granularity === 'month') return `${key.slice(0, 7)}-01`;
+    if (granularity === 'week') return shiftUtcDay(key, -((new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7));
+    return key;
+}
+
+// Adds (sign 1) or removes (sign -1) one set of counters from another, never going below zero
+function mergeTelemetryCounters(target, source, sign = 1) {
+    for (const [key, value] of Object.entries(source)) {
+        if (isPlainObject(value)) {
+            if (!isPlainObject(target[key])) target[key] = {};
+            mergeTelemetryCounters(target[key], value, sign);
+        } else if (Number.isFinite(value)) {
+            target[key] = Math.max(0, (target[key] || 0) + sign * value);
+        }
+    }
+    return target;
+}
+
+// { from, to, granularity, metric } from a telemetry query string, or { error }. from/to stay
+// null when absent so each caller picks its own default range.
+function parseTelemetryQuery(searchParams) {
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
+    const granularity = searchParams.get('granularity') || 'day';
+    const metric = searchParams.get('metric');
+    if ((from !== null && !isUtcDayKey(from)) || (to !== null && !isUtcDayKey(to))) {
+        return { error: 'from and to must be YYYY-MM-DD dates (UTC)' };
+    }
+    if (from && to && from > to) return { error: 'from must not be after to' };
+    if (!TELEMETRY_GRANULARITIES.includes(granularity)) {
+        return { error: `granularity must be one of: ${TELEMETRY_GRANULARITIES.join(', ')}` };
+    }
+    if (metric !== null && !ALLOWED_FLAT_KEYS.has(metric) && !ALLOWED_NESTED_GROUPS.has(metric)) {
+        return { error: 'Unknown metric' };
+    }
+    return { from, to, granularity, metric };
+}
+
+/**
+ * Durable Object holding the sitewide counters. Only the worker talks to it (see telemetryCounters):
+ *   POST /        { increments, nested } — add to the totals and today's bucket
+ *   GET /         the all-time totals
+ *   GET /?from=&to=&granularity=   daily buckets rolled up by day, week or month
+ *   DELETE /?from=&to=&metric=     reset one metric, a date range, or (no query) everything
+ */
+export class TelemetryCounters {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.counters = null;
+        this.today = null; // { key, counters } — the bucket currently being added to
+        // Loading (and the one-time KV import) finishes before any request is delivered
+        state.blockConcurrencyWhile(() => this.load());
+    }
+
+    async load() {
+        let stored = await this.state.storage.get(TELEMETRY_STORAGE_KEY);
+        if (!stored && this.env.TELEMETRY) {
+            // A failed read throws out of blockConcurrencyWhile, so the import is retried rather than
+            // the old totals being replaced with empty ones
+            const raw = await withRetry(() => this.env.TELEMETRY.get(LEGACY_TELEMETRY_KV_KEY));
+            let counters = {};
+            try { counters = raw ? JSON.parse(raw) : {}; } catch { /* unreadable blob, start over */ }
+            stored = { schema: 1, counters };
+        }
+        this.counters = migrateTelemetryCounters(stored);
+        if (stored?.schema !== TELEMETRY_SCHEMA_VERSION) await this.save();
+    }
+
+    save(days = {}) {
+        const entries = { [TELEMETRY_STORAGE_KEY]: { schema: TELEMETRY_SCHEMA_VERSION, counters: this.counters } };
+        Object.entries(days).forEach(([day, counters]) => {
+            entries[TELEMETRY_DAY_PREFIX + day] = { schema: TELEMETRY_SCHEMA_VERSION, counters };
+        });
+        return this.putAll(entries);
+    }
+
+    async putAll(entries) {
+        const list = Object.entries(entries);
+        for (let i = 0; i < list.length; i += DURABLE_STORAGE_BATCH) {
+            await this.state.storage.put(Object.fromEntries(list.slice(i, i + DURABLE_STORAGE_BATCH)));
+        }
+    }
+
+    async deleteAll(keys) {
+        for (let i = 0; i < keys.length; i += DURABLE_STORAGE_BATCH) {
+            await this.state.storage.delete(keys.slice(i, i + DURABLE_STORAGE_BATCH));
+        }
+    }
+
+    // Map of day key → counters for the stored buckets from..to (inclusive)
+    async readDays(from, to) {
+        const entries = await this.state.storage.list({
+            start: TELEMETRY_DAY_PREFIX + from,
+            end: TELEMETRY_DAY_PREFIX + shiftUtcDay(to, 1),
+        });
+        return new Map([...entries].map(([key, stored]) => [key.slice(TELEMETRY_DAY_PREFIX.length), migrateTelemetryCounters(stored)]));
+    }
+
+    async todayBucket() {
+        const key = utcDayKey(new Date());
+        if (this.today?.key !== key) {
+            const stored = await this.state.storage.get(TELEMETRY_DAY_PREFIX + key);
+            if (!stored) {
+                const expired = await this.state.storage.list({
+                    start: TELEMETRY_DAY_PREFIX,
+                    end: TELEMETRY_DAY_PREFIX + shiftUtcDay(key, -TELEMETRY_RETENTION_DAYS),
+                });
+                await this.deleteAll([...expired.keys()]);
+            }
+            this.today = { key, counters: migrateTelemetryCounters(stored) };
+        }
+        return this.today;
+    }
+
+    async series({ from, to, granularity }) {
+        const days = await this.readDays(from, to);
+        const periods = [];
+        const totals = {};
+        for (let day = from; day <= to; day = shiftUtcDay(day, 1)) {
+            const start = telemetryPeriodStart(day, granularity);
+            if (periods[periods.length - 1]?.start !== start) periods.push({ start, counters: {} });
+            const counters = days.get(day);
+            if (!counters) continue;
+            mergeTelemetryCounters(periods[periods.length - 1].counters, counters);
+            mergeTelemetryCounters(totals, counters);
+        }
+        return { from, to, granularity, periods, totals };
+    }
+
+    async reset({ from, to, metric }) {
+        this.today = null;
+        if (!from && !to && !metric) {
+            const days = await this.state.storage.list({ prefix: TELEMETRY_DAY_PREFIX });
+            await this.deleteAll([...days.keys()]);
+            this.counters = {};
+            await this.save();
+            return;
+        }
+        const ranged = !!(from || to);
+        const days = await this.readDays(from || '0000-01-01', to || '9999-12-30');
+        const updated = {};
+        const emptied = [];
+        days.forEach((counters, day) => {
+            const removed = metric ? { [metric]: counters[metric] ?? 0 } : counters;
+            if (ranged) mergeTelemetryCounters(this.counters, removed, -1);
+            if (!metric) { emptied.push(TELEMETRY_DAY_PREFIX + day); return; }
+            delete counters[metric];
+            updated[day] = counters;
+        });
+        // Without a range the metric goes entirely, including totals from before daily buckets
+        if (!ranged) delete this.counters[metric];
+        await this.deleteAll(emptied);
+        await this.save(updated);
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        if (request.method === 'POST') {
+            const { increments, nested } = await request.json();
+            const today = await this.todayBucket();
+            applyTelemetryIncrements(this.counters, increments, nested);
+            applyTelemetryIncrements(today.counters, increments, nested);
+            await this.save({ [today.key]: today.counters });
+            return Response.json({ ok: true });
+        }
+
+        const query = parseTelemetryQuery(url.searchParams);
+        if (query.error) return Response.json({ error: query.error }, { status: 400 });
+        if (request.method === 'DELETE') {
+            await this.reset(query);
+            return Response.json({ ok: true });
+        }
+        if (!url.search) return Response.json(this.counters);
+
+        // Default to the last 30 days; ranges can't reach past what's retained
+        const to = query.to || utcDayKey(new Date());
+        const from = query.from || shiftUtcDay(to, -29);
+        if (from > to) return Response.json({ error: 'from must not be after to' }, { status: 400 });
+        if (from < shiftUtcDay(to, -TELEMETRY_RETENTION_DAYS)) {
+            return Response.json({ error: `Ranges are limited to ${TELEMETRY_RETENTION_DAYS} days` }, { status: 400 });
+        }
+        return Response.json(await this.series({ from, to, granularity: query.granularity }));
+    }
+}
+
+function telemetryCounters(env) {
+    return env.TELEMETRY_COUNTERS.get(env.TELEMETRY_COUNTERS.idFromName(TELEMETRY_COUNTER_NAME));
+}
+
+async function handleTelemetryPost(request, env) {
+    if (!requestLooksSameOrigin(request)) {
+        return jsonResponse({ error: 'Forbidden origin' }, 403, {}, request, { allowDeleteCors: true });
+    }
+    if (!env.TELEMETRY_COUNTERS) {
+        return jsonResponse({ error: 'TELEMETRY_COUNTERS Durable Object not configured' }, 500, {}, request, { allowDeleteCors: true });
+    }
+
+    // Rate limit by IP (IP is read but NEVER stored)
+    const rateLimit = await checkRateLimit(request, env, 'telemetry');
+    if (rateLimit.limited) {
+        return rateLimitedResponse(rateLimit, request, { allowDeleteCors: true });
+    }
+
+    let payload;
+    try {
+        const rawBody = await request.text();
+        if (rawBody.length > MAX_TELEMETRY_PAYLOAD_CHARS) {
+            return jsonResponse({ error: 'Payload too large' }, 413, {}, request, { allowDeleteCors: true });
+        }
+        payload = JSON.parse(rawBody);
+    } catch {
+        return jsonResponse({ error: 'Invalid JSON' }, 400, {}, request, { allowDeleteCors: true });
+    }
+
+    // Validate payload shape
+    const increments = payload?.increments;
+    const nested = payload?.nested;
+    if (!increments && !nested) {
+        return jsonResponse({ error: 'Missing increments or nested fields' }, 400, {}, request, { allowDeleteCors: true });
+    }
+
+    const response = await telemetryCounters(env).fetch('https://telemetry/', {
+        method: 'POST',
+        body: JSON.stringify({ increments, nested }),
+    });
+    if (!response.ok) throw new Error(`Telemetry counters responded ${response.status}`);
 
     return jsonResponse({ ok: true }, 200, {}, request, { allowDeleteCors: true });
 }
@@ -597,25 +1703,27 @@ async function handleTelemetryGet(request, env) {
     if (!requestLooksSameOrigin(request)) {
         return jsonResponse({ error: 'Forbidden origin' }, 403, {}, request, { allowDeleteCors: true });
     }
-    if (!env.TELEMETRY) {
-        return jsonResponse({ error: 'TELEMETRY KV namespace not configured' }, 500, {}, request, { allowDeleteCors: true });
+    if (!env.TELEMETRY_COUNTERS) {
+        return jsonResponse({ error: 'TELEMETRY_COUNTERS Durable Object not configured' }, 500, {}, request, { allowDeleteCors: true });
     }
-    let counters;
+    // Totals, or a time series when the query has from/to/granularity
+    let response;
+    let payload;
     try {
-        const raw = await env.TELEMETRY.get(TELEMETRY_KV_KEY);
-        counters = raw ? JSON.parse(raw) : {};
+        response = await telemetryCounters(env).fetch(`https://telemetry/${new URL(request.url).search}`);
+        payload = await response.json();
     } catch {
-        counters = {};
+        return jsonResponse({ error: 'Server error' }, 500, { 'Cache-Control': 'no-store' }, request, { allowDeleteCors: true });
     }
-    return jsonResponse(counters, 200, { 'Cache-Control': 'no-store' }, request, { allowDeleteCors: true });
+    return jsonResponse(payload, response.status, { 'Cache-Control': 'no-store' }, request, { allowDeleteCors: true });
 }
 
 async function handleTelemetryDelete(request, env) {
     if (!requestLooksSameOrigin(request)) {
         return jsonResponse({ error: 'Forbidden origin' }, 403, {}, request, { allowDeleteCors: true });
     }
-    if (!env.TELEMETRY) {
-        return jsonResponse({ error: 'TELEMETRY KV namespace not configured' }, 500, {}, request, { allowDeleteCors: true });
+    if (!env.TELEMETRY_COUNTERS) {
+        return jsonResponse({ error: 'TELEMETRY_COUNTERS Durable Object not configured' }, 500, {}, request, { allowDeleteCors: true });
     }
 
     const allowInsecureReset = env.ALLOW_UNAUTHENTICATED_TELEMETRY_RESET === 'true';
@@ -626,8 +1734,19 @@ async function handleTelemetryDelete(request, env) {
         }, 403, {}, request, { allowDeleteCors: true });
     }
 
-    await withRetry(() => env.TELEMETRY.put(TELEMETRY_KV_KEY, JSON.stringify({})));
-    return jsonResponse({ ok: true, message: 'All sitewide counters reset' }, 200, {}, request, { allowDeleteCors: true });
+    const search = new URL(request.url).search;
+    let response;
+    try {
+        response = await withRetry(() => telemetryCounters(env).fetch(`https://telemetry/${search}`, { method: 'DELETE' }));
+    } catch {
+        return jsonResponse({ error: 'Server error' }, 500, {}, request, { allowDeleteCors: true });
+    }
+    if (!response.ok) {
+        const payload = await response.json().catch(() => ({ error: 'Server error' }));
+        return jsonResponse(payload, response.status, {}, request, { allowDeleteCors: true });
+    }
+    const message = search ? 'Selected sitewide counters reset' : 'All sitewide counters reset';
+    return jsonResponse({ ok: true, message }, 200, {}, request, { allowDeleteCors: true });
 }
 
 // ── Request Router ─────────────────────────────────────────────────────────
@@ -637,8 +1756,8 @@ async function handleRequest(request, env, ctx) {
 
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
-        const allowedPreflightPaths = new Set(['/api/telemetry', '/api/shorten']);
-        const isResolvePath = url.pathname.startsWith('/api/resolve/');
+        const allowedPreflightPaths = new Set(['/api/telemetry', '/api/shorten', '/api/calendar-feed']);
+        const isResolvePath = url.pathname.startsWith('/api/resolve/') || url.pathname.startsWith('/api/revisions/');
 
         if (!allowedPreflightPaths.has(url.pathname) && !isResolvePath) {
             return withResponseHeaders(new Response(null, { status: 404 }), { request, isApi: true });
@@ -663,10 +1782,18 @@ async function handleRequest(request, env, ctx) {
             }
         }
         if (request.method === 'GET') {
-            return handleTelemetryGet(request, env);
+            try {
+                return await handleTelemetryGet(request, env);
+            } catch {
+                return jsonResponse({ error: 'Server error' }, 500, {}, request, { allowDeleteCors: true });
+            }
         }
         if (request.method === 'DELETE') {
-            return handleTelemetryDelete(request, env);
+            try {
+                return await handleTelemetryDelete(request, env);
+            } catch {
+                return jsonResponse({ error: 'Server error' }, 500, {}, request, { allowDeleteCors: true });
+            }
         }
         return jsonResponse({ error: 'Method not allowed' }, 405, { Allow: 'GET, POST, DELETE, OPTIONS' }, request, { allowDeleteCors: true });
     }
@@ -680,8 +1807,12 @@ async function handleRequest(request, env, ctx) {
             message: 'Short URL API is working. Use POST to create, PUT to update.',
             usage: {
                 create: 'POST /api/shorten with { "url": "https://pt-onia.app/#..." }',
-                update: 'PUT /api/shorten with { "code": "word-word-word", "url": "https://pt-onia.app/#..." }',
+                update: 'PUT /api/shorten with { "code": "word-word-word", "url": "https://pt-onia.app/#...", "token": "<editToken>" }',
+                publish: 'PUT /api/shorten with { "code": "word-word-word", "token": "<editToken>", "publish": true }',
+                extend: 'PUT /api/shorten with { "code": "word-word-word", "token": "<editToken>", "expiresInDays": 90 }',
                 resolve: 'GET /api/resolve/<code>',
+                revision: 'GET /api/resolve/<code>?rev=<n>',
+                revisions: 'GET /api/revisions/<code>',
             },
         }, 200, { 'Cache-Control': 'no-store' }, request);
     }
@@ -705,16 +1836,35 @@ async function handleRequest(request, env, ctx) {
         } catch {
             return jsonResponse({
                 error: 'Server error',
-                hint: 'Check that request body is valid JSON with { "code": "...", "url": "..." }',
+                hint: 'Check that request body is valid JSON with { "code": "...", "url": "...", "token": "..." }',
             }, 500, {}, request, { allowPutCors: true });
         }
     }
 
+    // Feed link for a short code
+    if (url.pathname === '/api/calendar-feed' && request.method === 'POST') {
+        try {
+            return await handleCalendarFeedLink(request, env);
+        } catch {
+            return jsonResponse({ error: 'Server error' }, 500, {}, request);
+        }
+    }
+
     // Resolve short URL (JSON, no redirect)
     if (request.method === 'GET' && url.pathname.startsWith('/api/resolve/')) {
         const shortCode = url.pathname.slice('/api/resolve/'.length);
         try {
-            return await handleResolve(shortCode, request, env);
+            return await handleResolve(shortCode, request, env, ctx);
+        } catch {
+            return jsonResponse({ error: 'Server error' }, 500, {}, request);
+        }
+    }
+
+    // List saved revisions of a short URL
+    if (request.method === 'GET' && url.pathname.startsWith('/api/revisions/')) {
+        const shortCode = url.pathname.slice('/api/revisions/'.length);
+        try {
+            return await handleRevisions(shortCode, request, env);
         } catch {
             return jsonResponse({ error: 'Server error' }, 500, {}, request);
         }
@@ -726,6 +1876,26 @@ async function handleRequest(request, env, ctx) {
         return handleRedirect(shortCode, env, ctx, request);
     }
 
+    // Link preview image for a short code
+    if (request.method === 'GET' && url.pathname.startsWith('/og/') && url.pathname.endsWith('.png')) {
+        const shortCode = url.pathname.slice('/og/'.length, -'.png'.length);
+        try {
+            return await handleLinkPreviewImage(shortCode, request, env, ctx);
+        } catch {
+            return withResponseHeaders(new Response('Server error', { status: 500, headers: { 'Content-Type': 'text/plain; charset=utf-8' } }), { request });
+        }
+    }
+
+    // Subscribable calendar feed, addressed by its feed id
+    if (request.method === 'GET' && url.pathname.startsWith('/cal/') && url.pathname.endsWith('.ics')) {
+        const feedId = url.pathname.slice('/cal/'.length, -'.ics'.length);
+        try {
+            return await handleCalendarFeed(feedId, request, env);
+        } catch {
+            return withResponseHeaders(new Response('Server error', { status: 500, headers: { 'Content-Type': 'text/plain; charset=utf-8' } }), { request });
+        }
+    }
+
     // Pass through to origin for all other requests
     const originResponse = await fetch(request);
     return withResponseHeaders(originResponse, { request });
@@ -735,4 +1905,7 @@ export default {
     async fetch(request, env, ctx) {
         return handleRequest(request, env, ctx);
     },
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil(cleanupShortUrls(env, event.scheduledTime));
+    },
 };
@@ -0,0 +1,1089 @@
+/**
+ * Plan logic shared by the page (index.html) and the Cloudflare Worker (cloudflare-worker.js):
+ * URL state encoding and parsing, holiday calendars, work schedules, partial days and ICS generation.
+ *
+ * No DOM access here — anything that reads inputs or `state` stays in the page. Loaded as a
+ * classic script by the page and imported for its side effect by the worker; both read the
+ * exports from globalThis.PlanCore.
+ */
+(function (root) {
+    'use strict';
+
+    const MAX_URL_STATE_CHARS = 12000;
+    const MAX_SELECTED_DAYS_PER_TYPE = 366 * 4; // one entry per day across the four selectable plan years
+    const MAX_CUSTOM_TYPES = 24;
+    const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+    const BUILTIN_TYPES = ['pto', 'activism', 'personal', 'wellness'];
+    const BUILTIN_TYPE_LABELS = { pto: 'PTO', activism: 'Activism', personal: 'Personal', wellness: 'Wellness' };
+    // Light default theme colors, for places without the page's CSS (the worker's calendar feed)
+    const BUILTIN_TYPE_COLORS = { pto: '#ec4899', activism: '#8b5cf6', personal: '#f59e0b', wellness: '#14b8a6' };
+
+    // Holiday definitions: { id, name, rule, offset?, observe, default }. Months are 0-based, weekdays 0 = Sunday.
+    //   fixed      { month, day }           same date every year
+    //   nth        { month, weekday, n }    e.g. 3rd Monday of January
+    //   last       { month, weekday }       last <weekday> of the month
+    //   onOrBefore { month, day, weekday }  last <weekday> on or before month/day
+    //   easter     {}                       Easter Sunday, shifted by `offset` days (Good Friday = -2)
+    //   date       { date: 'YYYY-MM-DD' }   one-off, only in that year
+    // `observe` moves weekend dates: nearest (Sat→Fri, Sun→Mon), next / prev (first free weekday after / before), none
+    const HOLIDAY_SETS = {
+        us: { name: 'US Federal', holidays: [
+            { id: 'newyear', name: "New Year's Day", rule: { type: 'fixed', month: 0, day: 1 }, observe: 'nearest', default: true },
+            { id: 'mlk', name: "MLK Day", rule: { type: 'nth', month: 0, weekday: 1, n: 3 }, observe: 'none', default: true },
+            { id: 'presidents', name: "Presidents Day", rule: { type: 'nth', month: 1, weekday: 1, n: 3 }, observe: 'none', default: true },
+            { id: 'memorial', name: "Memorial Day", rule: { type: 'last', month: 4, weekday: 1 }, observe: 'none', default: true },
+            { id: 'juneteenth', name: "Juneteenth", rule: { type: 'fixed', month: 5, day: 19 }, observe: 'nearest', default: true },
+            { id: 'independence', name: "Independence Day", rule: { type: 'fixed', month: 6, day: 4 }, observe: 'nearest', default: true },
+            { id: 'labor', name: "Labor Day", rule: { type: 'nth', month: 8, weekday: 1, n: 1 }, observe: 'none', default: true },
+            { id: 'columbus', name: "Columbus Day", rule: { type: 'nth', month: 9, weekday: 1, n: 2 }, observe: 'none', default: false },
+            { id: 'veterans', name: "Veterans Day", rule: { type: 'fixed', month: 10, day: 11 }, observe: 'nearest', default: false },
+            { id: 'thanksgiving', name: "Thanksgiving", rule: { type: 'nth', month: 10, weekday: 4, n: 4 }, observe: 'none', default: true },
+            { id: 'dayafterthanksgiving', name: "Day after Thanksgiving", rule: { type: 'nth', month: 10, weekday: 4, n: 4 }, offset: 1, observe: 'none', default: false },
+            { id: 'christmaseve', name: "Christmas Eve", rule: { type: 'fixed', month: 11, day: 24 }, observe: 'prev', default: true },
+            { id: 'christmas', name: "Christmas Day", rule: { type: 'fixed', month: 11, day: 25 }, observe: 'nearest', default: true }
+        ] },
+        uk: { name: 'UK Bank Holidays', holidays: [
+            { id: 'uk_newyear', name: "New Year's Day", rule: { type: 'fixed', month: 0, day: 1 }, observe: 'next', default: true },
+            { id: 'uk_goodfriday', name: "Good Friday", rule: { type: 'easter' }, offset: -2, observe: 'none', default: true },
+            { id: 'uk_eastermonday', name: "Easter Monday", rule: { type: 'easter' }, offset: 1, observe: 'none', default: true },
+            { id: 'uk_earlymay', name: "Early May Bank Holiday", rule: { type: 'nth', month: 4, weekday: 1, n: 1 }, observe: 'none', default: true },
+            { id: 'uk_spring', name: "Spring Bank Holiday", rule: { type: 'last', month: 4, weekday: 1 }, observe: 'none', default: true },
+            { id: 'uk_summer', name: "Summer Bank Holiday", rule: { type: 'last', month: 7, weekday: 1 }, observe: 'none', default: true },
+            { id: 'uk_christmas', name: "Christmas Day", rule: { type: 'fixed', month: 11, day: 25 }, observe: 'next', default: true },
+            { id: 'uk_boxing', name: "Boxing Day", rule: { type: 'fixed', month: 11, day: 26 }, observe: 'next', default: true }
+        ] },
+        ca: { name: 'Canada', holidays: [
+            { id: 'ca_newyear', name: "New Year's Day", rule: { type: 'fixed', month: 0, day: 1 }, observe: 'next', default: true },
+            { id: 'ca_goodfriday', name: "Good Friday", rule: { type: 'easter' }, offset: -2, observe: 'none', default: true },
+            { id: 'ca_victoria', name: "Victoria Day", rule: { type: 'onOrBefore', month: 4, day: 24, weekday: 1 }, observe: 'none', default: true },
+            { id: 'ca_canada', name: "Canada Day", rule: { type: 'fixed', month: 6, day: 1 }, observe: 'next', default: true },
+            { id: 'ca_civic', name: "Civic Holiday", rule: { type: 'nth', month: 7, weekday: 1, n: 1 }, observe: 'none', default: false },
+            { id: 'ca_labour', name: "Labour Day", rule: { type: 'nth', month: 8, weekday: 1, n: 1 }, observe: 'none', default: true },
+            { id: 'ca_truth', name: "Truth and Reconciliation Day", rule: { type: 'fixed', month: 8, day: 30 }, observe: 'next', default: true },
+            { id: 'ca_thanksgiving', name: "Thanksgiving", rule: { type: 'nth', month: 9, weekday: 1, n: 2 }, observe: 'none', default: true },
+            { id: 'ca_remembrance', name: "Remembrance Day", rule: { type: 'fixed', month: 10, day: 11 }, observe: 'next', default: false },
+            { id: 'ca_christmas', name: "Christmas Day", rule: { type: 'fixed', month: 11, day: 25 }, observe: 'next', default: true },
+            { id: 'ca_boxing', name: "Boxing Day", rule: { type: 'fixed', month: 11, day: 26 }, observe: 'next', default: true }
+        ] }
+    };
+    const HOLIDAY_RULE_TYPES = ['fixed', 'nth', 'last', 'onOrBefore', 'easter', 'date'];
+    const HOLIDAY_OBSERVANCES = ['nearest', 'next', 'prev', 'none'];
+    const MAX_CUSTOM_HOLIDAYS = 50;
+    const MAX_PARTIAL_DAYS = 366 * 4;
+    const MAX_PARTIAL_ENTRIES = 2;
+    const MAX_SCENARIOS = 5;
+    // What a short code's subscribable calendar (/cal/<code>.ics) shows: busy blocks only, full details, or nothing
+    const CALENDAR_FEED_MODES = ['busy', 'full', 'off'];
+    const DEFAULT_CALENDAR_FEED = 'busy';
+    // What unfurled /s/<code> links show: the plan's year and headline figures, or a generic card
+    const LINK_PREVIEW_MODES = ['summary', 'private'];
+    const DEFAULT_LINK_PREVIEW = 'summary';
+    // Leave rules: blackout ranges plus limits that are null when unset. `key` is the limit's field in
+    // links; day limits are whole numbers.
+    const MAX_BLACKOUTS = 20;
+    const LEAVE_RULE_LIMITS = {
+        minNoticeDays: { key: 'mn', max: 366, whole: true },
+        maxConsecutiveDays: { key: 'mc', max: 366, whole: true },
+        maxDaysPerMonth: { key: 'mm', max: 31, whole: true },
+        approvalHours: { key: 'ah', max: 10000, whole: false }
+    };
+
+    // Work schedules: Mon–Fri hours for each week of a 1- or 2-week cycle (weekends are always off).
+    // Week 0 is the week containing the cycle anchor date (#next980Friday); a 0-hour weekday is a
+    // compressed day off.
+    const WORK_SCHEDULE_PRESETS = {
+        '980-fri': { short: '9/80', dayOff: '9/80 Friday', dayOffPlural: '9/80 Fridays', weeks: [[9, 9, 9, 9, 0], [9, 9, 9, 9, 8]] },
+        '980-mon': { short: '9/80', dayOff: '9/80 Monday', dayOffPlural: '9/80 Mondays', weeks: [[0, 9, 9, 9, 9], [8, 9, 9, 9, 9]] },
+        '410': { short: '4/10', dayOff: '4/10 Friday', dayOffPlural: '4/10 Fridays', weeks: [[10, 10, 10, 10, 0]] },
+        '5x8': { short: '5x8', dayOff: 'Day off', dayOffPlural: 'days off', weeks: [[8, 8, 8, 8, 8]] },
+    };
+    const CUSTOM_SCHEDULE_LABELS = { short: 'Day off', dayOff: 'Scheduled day off', dayOffPlural: 'scheduled days off' };
+
+    function dateKey(date) { return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`; }
+    function shiftDateKey(key, days) { const d = new Date(key + 'T12:00:00'); d.setDate(d.getDate() + days); return dateKey(d); }
+    function timeToMinutes(time) { const [h, m] = time.split(':').map(Number); return h * 60 + m; }
+    function minutesToTime(minutes) { const m = ((Math.round(minutes) % 1440) + 1440) % 1440; return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`; }
+
+    function parseJsonSafe(raw, fallback = null) {
+        if (!raw || typeof raw !== 'string') return fallback;
+        try { return JSON.parse(raw); } catch { return fallback; }
+    }
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isValidDateKey(value) {
+        if (typeof value !== 'string' || !DATE_KEY_REGEX.test(value)) return false;
+        const parsed = new Date(value + 'T12:00:00');
+        return !Number.isNaN(parsed.getTime()) && dateKey(parsed) === value;
+    }
+
+    function sanitizeDateKeys(values, maxItems = MAX_SELECTED_DAYS_PER_TYPE) {
+        if (!Array.isArray(values)) return [];
+        const unique = [];
+        const seen = new Set();
+        for (let i = 0; i < values.length; i++) {
+            const key = values[i];
+            if (!isValidDateKey(key) || seen.has(key)) continue;
+            seen.add(key);
+            unique.push(key);
+            if (unique.length >= maxItems) break;
+        }
+        return unique;
+    }
+
+    function encodeBase64Utf8(value) {
+        const bytes = new TextEncoder().encode(value);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    // With fatal set, bytes that aren't valid UTF-8 throw instead of decoding to U+FFFD
+    function decodeBase64Utf8(value, { fatal = false } = {}) {
+        const binary = atob(value);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new TextDecoder('utf-8', { fatal }).decode(bytes);
+    }
+
+    function normalizeCustomType(raw) {
+        if (!isPlainObject(raw)) return null;
+        const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+        if (!/^custom_[A-Za-z0-9_-]{1,40}$/.test(id)) return null;
+        if (BUILTIN_TYPES.includes(id)) return null;
+        let name = typeof raw.name === 'string' ? raw.name : '';
+        name = name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 20);
+        if (!name) return null;
+        const color = typeof raw.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(raw.color) ? raw.color : '#6366f1';
+        const countsAsDayOff = raw.cdo === true || raw.countsAsDayOff === true;
+        return { id, name, color, countsAsDayOff };
+    }
+
+    function normalizeCustomTypeState(rawTypes, rawSelectedByType) {
+        if (!Array.isArray(rawTypes)) return { types: [], selectedByType: {} };
+        const selectedByType = isPlainObject(rawSelectedByType) ? rawSelectedByType : {};
+        const seenIds = new Set();
+        const normalizedTypes = [];
+        const normalizedSelections = {};
+        for (let i = 0; i < rawTypes.length && normalizedTypes.length < MAX_CUSTOM_TYPES; i++) {
+            const normalized = normalizeCustomType(rawTypes[i]);
+            if (!normalized || seenIds.has(normalized.id)) continue;
+            seenIds.add(normalized.id);
+            normalizedTypes.push({
+                id: normalized.id,
+                name: normalized.name,
+                color: normalized.color,
+                countsAsDayOff: normalized.countsAsDayOff
+            });
+            normalizedSelections[normalized.id] = sanitizeDateKeys(selectedByType[normalized.id], MAX_SELECTED_DAYS_PER_TYPE);
+        }
+        return { types: normalizedTypes, selectedByType: normalizedSelections };
+    }
+
+    function normalizeHolidayRule(raw) {
+        if (!isPlainObject(raw) || !HOLIDAY_RULE_TYPES.includes(raw.type)) return null;
+        const int = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+        switch (raw.type) {
+            case 'date': return isValidDateKey(raw.date) ? { type: 'date', date: raw.date } : null;
+            case 'easter': return { type: 'easter' };
+            case 'fixed': return int(raw.month, 0, 11) && int(raw.day, 1, 31) ? { type: 'fixed', month: raw.month, day: raw.day } : null;
+            case 'last': return int(raw.month, 0, 11) && int(raw.weekday, 0, 6) ? { type: 'last', month: raw.month, weekday: raw.weekday } : null;
+            case 'nth': return int(raw.month, 0, 11) && int(raw.weekday, 0, 6) && int(raw.n, 1, 5) ? { type: 'nth', month: raw.month, weekday: raw.weekday, n: raw.n } : null;
+            case 'onOrBefore': return int(raw.month, 0, 11) && int(raw.day, 1, 31) && int(raw.weekday, 0, 6) ? { type: 'onOrBefore', month: raw.month, day: raw.day, weekday: raw.weekday } : null;
+        }
+        return null;
+    }
+
+    function normalizeHolidayDef(raw) {
+        if (!isPlainObject(raw)) return null;
+        const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+        if (!/^hol_[A-Za-z0-9_-]{1,40}$/.test(id)) return null;
+        const name = (typeof raw.name === 'string' ? raw.name : '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 30);
+        const rule = normalizeHolidayRule(raw.rule);
+        if (!name || !rule) return null;
+        const offset = Number.isInteger(raw.offset) && Math.abs(raw.offset) <= 366 ? raw.offset : 0;
+        const observe = HOLIDAY_OBSERVANCES.includes(raw.observe) ? raw.observe : 'nearest';
+        return { id, name, rule, offset, observe, default: true };
+    }
+
+    function normalizeScheduleWeeks(raw) {
+        if (!Array.isArray(raw) || raw.length < 1 || raw.length > 2) return null;
+        const weeks = raw.map(week => Array.isArray(week) && week.length === 5 ? week.map(Number) : null);
+        if (weeks.some(week => !week || week.some(h => !Number.isFinite(h) || h < 0 || h > 24))) return null;
+        return weeks;
+    }
+
+    function normalizePartialEntry(type, hours, start, typeIds) {
+        const value = Number(hours);
+        if (!typeIds.has(type) || !Number.isFinite(value) || value <= 0 || value > 24) return null;
+        if (typeof start !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(start)) return null;
+        return { type, hours: Math.round(value * 100) / 100, start };
+    }
+    // URL form is { key: [[type, hours, start], ...] }
+    function normalizePartialDays(raw, typeIds) {
+        const partialDays = {};
+        if (!isPlainObject(raw)) return partialDays;
+        Object.keys(raw).filter(key => isValidDateKey(key) && Array.isArray(raw[key])).slice(0, MAX_PARTIAL_DAYS).forEach(key => {
+            const entries = raw[key].slice(0, MAX_PARTIAL_ENTRIES).map(e => Array.isArray(e) ? normalizePartialEntry(e[0], e[1], e[2], typeIds) : null).filter(Boolean);
+            if (entries.length > 0) partialDays[key] = entries;
+        });
+        return partialDays;
+    }
+
+    function scenarioName(index) { return `Plan ${String.fromCharCode(65 + index)}`; }
+    // URL form is { a: activeIndex, l: [{ n: name, d: { typeId: [keys] }, dp: partialDays }] }. The active
+    // scenario's days are the plan's own fields, so its entry carries only the name.
+    function normalizeScenarios(raw, typeIds) {
+        if (!isPlainObject(raw) || !Array.isArray(raw.l)) return null;
+        const list = raw.l.filter(isPlainObject).slice(0, MAX_SCENARIOS).map((s, i) => {
+            const days = isPlainObject(s.d) ? s.d : {};
+            const selectedDays = {};
+            typeIds.forEach(typeId => {
+                const keys = sanitizeDateKeys(days[typeId]);
+                if (keys.length > 0) selectedDays[typeId] = keys;
+            });
+            const name = (typeof s.n === 'string' ? s.n : '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 20);
+            return { name: name || scenarioName(i), selectedDays, partialDays: normalizePartialDays(s.dp, typeIds) };
+        });
+        if (list.length < 2) return null;
+        const active = Number.isInteger(raw.a) && raw.a >= 0 && raw.a < list.length ? raw.a : 0;
+        return { active, list };
+    }
+
+    function observedDate(date) {
+        const d = new Date(date);
+        const day = d.getDay();
+        if (day === 0) d.setDate(d.getDate() + 1);
+        else if (day === 6) d.setDate(d.getDate() - 1);
+        return d;
+    }
+
+    function nthWeekday(year, month, weekday, n) {
+        const first = new Date(year, month, 1);
+        const firstWeekday = first.getDay();
+        let day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+        return new Date(year, month, day);
+    }
+
+    function lastWeekday(year, month, weekday) {
+        const last = new Date(year, month + 1, 0);
+        const lastDay = last.getDate();
+        const lastWeekdayOfMonth = last.getDay();
+        let diff = (lastWeekdayOfMonth - weekday + 7) % 7;
+        return new Date(year, month, lastDay - diff);
+    }
+
+    // Anonymous Gregorian algorithm
+    function easterSunday(year) {
+        const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+        const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31), day = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(year, month - 1, day);
+    }
+
+    function holidayBaseDate(rule, year) {
+        // Day 31 in a shorter month (or Feb 29 off leap years) falls on the month's last day
+        const clampDay = () => Math.min(rule.day, new Date(year, rule.month + 1, 0).getDate());
+        switch (rule.type) {
+            case 'fixed': return new Date(year, rule.month, clampDay());
+            case 'nth': {
+                const date = nthWeekday(year, rule.month, rule.weekday, rule.n);
+                return date.getMonth() === rule.month ? date : null;
+            }
+            case 'last': return lastWeekday(year, rule.month, rule.weekday);
+            case 'onOrBefore': {
+                const date = new Date(year, rule.month, clampDay());
+                date.setDate(date.getDate() - ((date.getDay() - rule.weekday + 7) % 7));
+                return date;
+            }
+            case 'easter': return easterSunday(year);
+            case 'date': return rule.date.startsWith(`${year}-`) ? new Date(rule.date + 'T00:00:00') : null;
+        }
+        return null;
+    }
+
+    // Map of dateKey → name for the given definitions in one year. Weekday dates are placed first so
+    // next/prev observances step past them (UK: Christmas on a Sunday is observed Tuesday, after Boxing Day).
+    function holidaysForYear(defs, year) {
+        const result = new Map();
+        const shifted = [];
+        defs.forEach(def => {
+            const date = holidayBaseDate(def.rule, year);
+            if (!date) return;
+            if (def.offset) date.setDate(date.getDate() + def.offset);
+            const dow = date.getDay();
+            if ((dow !== 0 && dow !== 6) || def.observe === 'none') result.set(dateKey(date), def.name);
+            else if (def.observe === 'nearest') result.set(dateKey(observedDate(date)), def.name);
+            else shifted.push({ def, date });
+        });
+        shifted.forEach(({ def, date }) => {
+            const step = def.observe === 'prev' ? -1 : 1;
+            do date.setDate(date.getDate() + step);
+            while (date.getDay() === 0 || date.getDay() === 6 || result.has(dateKey(date)));
+            result.set(dateKey(date), def.name);
+        });
+        return result;
+    }
+
+    // Map of dateKey → holiday name for every year from `from` to `to`
+    function holidaysInRange(defs, from, to) {
+        const holidays = {};
+        for (let y = from; y <= to; y++) {
+            holidaysForYear(defs, y).forEach((name, key) => { holidays[key] = name; });
+        }
+        return holidays;
+    }
+
+    // Holidays a plan has switched on; links without a list use each holiday's default
+    function enabledHolidayDefs(holidaySet, customHolidays, holidayIds) {
+        const defs = [...(HOLIDAY_SETS[holidaySet] || HOLIDAY_SETS.us).holidays, ...customHolidays];
+        return defs.filter(h => holidayIds ? holidayIds.has(h.id) : h.default);
+    }
+
+    // ── Work schedules ──
+    function workScheduleWeeks(schedule) {
+        return schedule.preset === 'custom' ? schedule.weeks : WORK_SCHEDULE_PRESETS[schedule.preset].weeks;
+    }
+    // Sunday of the week holding the cycle anchor date, or null when there isn't a valid one
+    function cycleAnchor(key) {
+        const anchor = new Date(key + 'T00:00:00');
+        return isNaN(anchor) ? null : new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() - anchor.getDay());
+    }
+    function cycleWeekIndex(weeks, anchor, date) {
+        const cycle = weeks.length;
+        if (cycle === 1 || !anchor) return 0;
+        const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+        const weeksApart = Math.round((weekStart - anchor) / (7 * 86400000));
+        return ((weeksApart % cycle) + cycle) % cycle;
+    }
+    function scheduledHours(weeks, anchor, date) {
+        const day = date.getDay();
+        if (day === 0 || day === 6) return 0;
+        return weeks[cycleWeekIndex(weeks, anchor, date)][day - 1];
+    }
+    // Map of dateKey → true for every 0-hour weekday from the start of `from` to the end of `to`
+    function compressedDaysOffInRange(weeks, anchor, from, to) {
+        const daysOff = {};
+        for (let d = new Date(from, 0, 1); d <= new Date(to, 11, 31); d.setDate(d.getDate() + 1)) {
+            const dow = d.getDay();
+            if (dow !== 0 && dow !== 6 && scheduledHours(weeks, anchor, d) === 0) daysOff[dateKey(d)] = true;
+        }
+        return daysOff;
+    }
+
+    // A parsed plan's calendar from the start of `from` to the end of `to`, worked out the way the page does:
+    // full days on weekends, holidays and days off are dropped, and a full day wins over partial entries
+    function planCalendar(plan, from, to) {
+        const typeIds = [...BUILTIN_TYPES, ...plan.customTypes.map(ct => ct.id)];
+        const customTypes = new Map(plan.customTypes.map(ct => [ct.id, ct]));
+        const schedule = plan.workSchedule || { preset: '980-fri', weeks: null };
+        const weeks = workScheduleWeeks(schedule);
+        const anchor = plan.cycleAnchorDate ? cycleAnchor(plan.cycleAnchorDate) : null;
+        const holidays = holidaysInRange(enabledHolidayDefs(plan.holidaySet, plan.customHolidays, plan.holidayIds), from, to);
+        const daysOff = compressedDaysOffInRange(weeks, anchor, from, to);
+        const isScheduledOff = key => {
+            const dow = new Date(key + 'T12:00:00').getDay();
+            return dow === 0 || dow === 6 || !!holidays[key] || !!daysOff[key];
+        };
+        const selectedDays = Object.fromEntries(typeIds.map(typeId => [typeId, new Set([...(plan.selectedDays[typeId] || [])].filter(key => !isScheduledOff(key)))]));
+        const partialDays = Object.fromEntries(Object.entries(plan.partialDays)
+            .filter(([key]) => !isScheduledOff(key) && !typeIds.some(typeId => selectedDays[typeId].has(key))));
+        return {
+            typeIds,
+            holidays,
+            daysOff,
+            selectedDays,
+            partialDays,
+            isScheduledOff,
+            isAway: typeId => !customTypes.has(typeId) || customTypes.get(typeId).countsAsDayOff,
+            typeName: typeId => customTypes.get(typeId)?.name || BUILTIN_TYPE_LABELS[typeId],
+            typeColor: typeId => customTypes.get(typeId)?.color || BUILTIN_TYPE_COLORS[typeId],
+            hoursForDay: key => scheduledHours(weeks, anchor, new Date(key + 'T12:00:00')),
+            dayOffLabel: (WORK_SCHEDULE_PRESETS[schedule.preset] || CUSTOM_SCHEDULE_LABELS).dayOff
+        };
+    }
+
+    // Map of dateKey → { label, hours, partial } for the workdays from `from` to `to` the plan's owner is away:
+    // time off that counts as a day off, plus scheduled days off. Holidays are left out — everyone sharing a
+    // holiday calendar has them, so they say nothing about who covers for whom.
+    function planAbsences(plan, from, to) {
+        const cal = planCalendar(plan, from, to);
+        const first = `${from}-01-01`, last = `${to}-12-31`;
+        const absences = new Map();
+        Object.keys(cal.daysOff).forEach(key => { if (!cal.holidays[key]) absences.set(key, { label: cal.dayOffLabel, hours: 0, partial: false }); });
+        cal.typeIds.filter(cal.isAway).forEach(typeId => cal.selectedDays[typeId].forEach(key => {
+            if (key >= first && key <= last && !absences.has(key)) absences.set(key, { label: cal.typeName(typeId), hours: cal.hoursForDay(key), partial: false });
+        }));
+        Object.entries(cal.partialDays).forEach(([key, entries]) => {
+            const away = entries.filter(e => cal.isAway(e.type));
+            const hours = away.reduce((sum, e) => sum + e.hours, 0);
+            if (key < first || key > last || hours <= 0) return;
+            absences.set(key, { label: away.map(e => cal.typeName(e.type)).join(' + '), hours, partial: hours < cal.hoursForDay(key) });
+        });
+        return absences;
+    }
+
+    // ── Leave rules ──
+    function normalizeBlackout(raw) {
+        if (!isPlainObject(raw) || !isValidDateKey(raw.start) || !isValidDateKey(raw.end)) return null;
+        const name = (typeof raw.name === 'string' ? raw.name : '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 30);
+        return raw.start <= raw.end ? { start: raw.start, end: raw.end, name } : { start: raw.end, end: raw.start, name };
+    }
+
+    // { blackouts: [{ start, end, name }], minNoticeDays, maxConsecutiveDays, maxDaysPerMonth, approvalHours }
+    function normalizeLeaveRules(raw) {
+        const source = isPlainObject(raw) ? raw : {};
+        const rules = { blackouts: Array.isArray(source.blackouts) ? source.blackouts.slice(0, MAX_BLACKOUTS).map(normalizeBlackout).filter(Boolean) : [] };
+        Object.entries(LEAVE_RULE_LIMITS).forEach(([field, { max, whole }]) => {
+            const value = source[field] === null || source[field] === '' ? NaN : Number(source[field]);
+            rules[field] = Number.isFinite(value) && value > 0 && value <= max && (!whole || Number.isInteger(value)) ? value : null;
+        });
+        return rules;
+    }
+
+    function hasLeaveRules(rules) {
+        return rules.blackouts.length > 0 || Object.keys(LEAVE_RULE_LIMITS).some(field => rules[field] !== null);
+    }
+
+    // Link form: { b: [{ s, e, n }], mn, mc, mm, ah } with unset limits and empty names left out,
+    // or null when there are no rules
+    function encodeLeaveRules(rules) {
+        if (!hasLeaveRules(rules)) return null;
+        const encoded = {};
+        if (rules.blackouts.length > 0) encoded.b = rules.blackouts.map(b => b.name ? { s: b.start, e: b.end, n: b.name } : { s: b.start, e: b.end });
+        Object.entries(LEAVE_RULE_LIMITS).forEach(([field, { key }]) => { if (rules[field] !== null) encoded[key] = rules[field]; });
+        return encoded;
+    }
+    function parseLeaveRules(raw) {
+        if (!isPlainObject(raw)) return normalizeLeaveRules(null);
+        const rules = { blackouts: Array.isArray(raw.b) ? raw.b.filter(isPlainObject).map(b => ({ start: b.s, end: b.e, name: b.n })) : [] };
+        Object.entries(LEAVE_RULE_LIMITS).forEach(([field, { key }]) => { rules[field] = raw[key] ?? null; });
+        return normalizeLeaveRules(rules);
+    }
+
+    // Checks a plan's time off from `from` to `to` (years) against leave rules, with `today` as a date key.
+    // Time off is what counts as a day off: full days at the day's scheduled hours, partial days at their
+    // away hours (a fraction of a day toward monthly limits). Runs bridge weekends, holidays and scheduled
+    // days off; only whole days extend a run of consecutive days, while any time off joins a request for
+    // the approval threshold. Returns
+    //   { booked: Map dateKey → hours, violations, byDay: Map dateKey → violations }
+    // where each violation is { rule, severity, keys, ... } — severity 'error' for rules that stop a booking
+    // and 'warning' for time off that only needs approval. Blackout violations carry `blackout`, notice
+    // ones `cutoff` (the first date with enough notice), run ones `start`/`end`, monthly ones `month`
+    // ('YYYY-MM') and `days`, and approval ones `hours`.
+    function leaveRuleViolations(plan, rules, from, to, today) {
+        const cal = planCalendar(plan, from, to);
+        const first = `${from}-01-01`, last = `${to}-12-31`;
+        const booked = new Map();
+        const wholeDays = new Set();
+        cal.typeIds.filter(cal.isAway).forEach(typeId => cal.selectedDays[typeId].forEach(key => {
+            if (key >= first && key <= last) { booked.set(key, cal.hoursForDay(key)); wholeDays.add(key); }
+        }));
+        Object.entries(cal.partialDays).forEach(([key, entries]) => {
+            const hours = entries.filter(e => cal.isAway(e.type)).reduce((sum, e) => sum + e.hours, 0);
+            if (key < first || key > last || hours <= 0) return;
+            booked.set(key, hours);
+            if (hours >= cal.hoursForDay(key)) wholeDays.add(key);
+        });
+        const keys = [...booked.keys()].sort();
+        const violations = [];
+
+        rules.blackouts.forEach(blackout => {
+            const inside = keys.filter(key => key >= blackout.start && key <= blackout.end);
+            if (inside.length > 0) violations.push({ rule: 'blackout', severity: 'error', keys: inside, blackout });
+        });
+        if (rules.minNoticeDays !== null) {
+            const cutoff = shiftDateKey(today, rules.minNoticeDays);
+            const early = keys.filter(key => key >= today && key < cutoff);
+            if (early.length > 0) violations.push({ rule: 'minNoticeDays', severity: 'error', keys: early, cutoff });
+        }
+        if (rules.maxConsecutiveDays !== null) {
+            keyRuns(keys.filter(key => wholeDays.has(key)), cal.isScheduledOff).forEach(run => {
+                if (run.keys.length > rules.maxConsecutiveDays) violations.push({ rule: 'maxConsecutiveDays', severity: 'error', keys: run.keys, start: run.start, end: run.end });
+            });
+        }
+        if (rules.maxDaysPerMonth !== null) {
+            const months = new Map();
+            keys.forEach(key => {
+                const month = months.get(key.slice(0, 7)) || { keys: [], days: 0 };
+                const dayHours = cal.hoursForDay(key);
+                month.keys.push(key);
+                month.days += wholeDays.has(key) || dayHours <= 0 ? 1 : booked.get(key) / dayHours;
+                months.set(key.slice(0, 7), month);
+            });
+            months.forEach(({ keys: monthKeys, days }, month) => {
+                if (days > rules.maxDaysPerMonth + 1e-9) violations.push({ rule: 'maxDaysPerMonth', severity: 'error', keys: monthKeys, month, days });
+            });
+        }
+        if (rules.approvalHours !== null) {
+            keyRuns(keys, cal.isScheduledOff).forEach(run => {
+                const hours = run.keys.reduce((sum, key) => sum + booked.get(key), 0);
+                if (hours > rules.approvalHours + 1e-9) violations.push({ rule: 'approvalHours', severity: 'warning', keys: run.keys, start: run.start, end: run.end, hours });
+            });
+        }
+
+        const byDay = new Map();
+        violations.forEach(v => v.keys.forEach(key => { if (!byDay.has(key)) byDay.set(key, []); byDay.get(key).push(v); }));
+        return { booked, violations, byDay };
+    }
+
+    // ── URL state codec ──
+    // Format 1 is the state JSON as plain base64 (the oldest links are Latin-1 JSON read back with atob).
+    // Format 2 — "2.<base64url>" — packs every day list into per-year bitsets and DEFLATE-compresses the
+    // JSON. The DEFLATE code is here rather than CompressionStream because that API is async and the
+    // page decodes state synchronously (hash loads, previews, undo).
+    const STATE_FORMAT_VERSION = 2;
+    const MAX_INFLATED_STATE_BYTES = 256 * 1024;
+    const DEFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    const DEFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    const DEFLATE_DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    const DEFLATE_DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+    const DEFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+    function encodeBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decodeBase64Url(value) {
+        const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    // Raw DEFLATE (RFC 1951) in a single block of fixed Huffman codes with LZ77 matches — plan JSON is
+    // small and repetitive enough that dynamic tables would save little
+    function deflateRaw(input) {
+        const out = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+        const writeBits = (value, count) => {
+            bitBuffer |= value << bitCount;
+            bitCount += count;
+            while (bitCount >= 8) { out.push(bitBuffer & 255); bitBuffer >>>= 8; bitCount -= 8; }
+        };
+        // Huffman codes are packed starting from their most significant bit
+        const writeCode = (code, length) => {
+            let reversed = 0;
+            for (let i = 0; i < length; i++) reversed |= ((code >> i) & 1) << (length - 1 - i);
+            writeBits(reversed, length);
+        };
+        const writeSymbol = symbol => {
+            if (symbol < 144) writeCode(0x30 + symbol, 8);
+            else if (symbol < 256) writeCode(0x190 + symbol - 144, 9);
+            else if (symbol < 280) writeCode(symbol - 256, 7);
+            else writeCode(0xc0 + symbol - 280, 8);
+        };
+
+        const HASH_SIZE = 1 << 15;
+        const WINDOW = 32768;
+        const MAX_CHAIN = 64;
+        const head = new Int32Array(HASH_SIZE).fill(-1);
+        const previous = new Int32Array(input.length);
+        const hashAt = i => ((input[i] << 10) ^ (input[i + 1] << 5) ^ input[i + 2]) & (HASH_SIZE - 1);
+        const insert = i => {
+            if (i + 2 >= input.length) return;
+            const hash = hashAt(i);
+            previous[i] = head[hash];
+            head[hash] = i;
+        };
+
+        writeBits(1, 1); // final block
+        writeBits(1, 2); // fixed Huffman codes
+        let i = 0;
+        while (i < input.length) {
+            let bestLength = 0;
+            let bestDistance = 0;
+            if (i + 2 < input.length) {
+                const maxLength = Math.min(258, input.length - i);
+                let candidate = head[hashAt(i)];
+                for (let chain = MAX_CHAIN; candidate >= 0 && i - candidate <= WINDOW && chain > 0; chain--) {
+                    let length = 0;
+                    while (length < maxLength && input[candidate + length] === input[i + length]) length++;
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestDistance = i - candidate;
+                        if (length === maxLength) break;
+                    }
+                    candidate = previous[candidate];
+                }
+            }
+            if (bestLength < 3) {
+                writeSymbol(input[i]);
+                insert(i);
+                i++;
+                continue;
+            }
+            let lengthCode = DEFLATE_LENGTH_BASE.length - 1;
+            while (DEFLATE_LENGTH_BASE[lengthCode] > bestLength) lengthCode--;
+            writeSymbol(257 + lengthCode);
+            writeBits(bestLength - DEFLATE_LENGTH_BASE[lengthCode], DEFLATE_LENGTH_EXTRA[lengthCode]);
+            let distCode = DEFLATE_DIST_BASE.length - 1;
+            while (DEFLATE_DIST_BASE[distCode] > bestDistance) distCode--;
+            writeCode(distCode, 5);
+            writeBits(bestDistance - DEFLATE_DIST_BASE[distCode], DEFLATE_DIST_EXTRA[distCode]);
+            for (let j = 0; j < bestLength; j++) insert(i + j);
+            i += bestLength;
+        }
+        writeSymbol(256);
+        if (bitCount > 0) out.push(bitBuffer & 255);
+        return Uint8Array.from(out);
+    }
+
+    // Any raw DEFLATE stream (stored, fixed and dynamic blocks). Throws on corrupt input or output past maxBytes.
+    function inflateRaw(input, maxBytes) {
+        const out = [];
+        let position = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        const readBits = count => {
+            while (bitCount < count) {
+                if (position >= input.length) throw new Error('Unexpected end of compressed data');
+                bitBuffer |= input[position++] << bitCount;
+                bitCount += 8;
+            }
+            const value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        };
+        // Canonical Huffman table: symbols ordered by code length, then by symbol
+        const buildTable = lengths => {
+            const counts = new Array(16).fill(0);
+            lengths.forEach(length => { counts[length]++; });
+            counts[0] = 0;
+            const offsets = [0];
+            for (let length = 1; length < 16; length++) offsets[length] = offsets[length - 1] + counts[length - 1];
+            const symbols = [];
+            lengths.forEach((length, symbol) => { if (length) symbols[offsets[length]++] = symbol; });
+            return { counts, symbols };
+        };
+        const readSymbol = ({ counts, symbols }) => {
+            let code = 0;
+            let first = 0;
+            let index = 0;
+            for (let length = 1; length < 16; length++) {
+                code |= readBits(1);
+                if (code - first < counts[length]) return symbols[index + code - first];
+                index += counts[length];
+                first = (first + counts[length]) << 1;
+                code <<= 1;
+            }
+            throw new Error('Invalid Huffman code');
+        };
+        const readDynamicTables = () => {
+            const literalCount = readBits(5) + 257;
+            const distanceCount = readBits(5) + 1;
+            const codeLengthCount = readBits(4) + 4;
+            const codeLengthLengths = new Array(19).fill(0);
+            for (let i = 0; i < codeLengthCount; i++) codeLengthLengths[DEFLATE_CODE_LENGTH_ORDER[i]] = readBits(3);
+            const codeLengthTable = buildTable(codeLengthLengths);
+            const lengths = [];
+            while (lengths.length < literalCount + distanceCount) {
+                const symbol = readSymbol(codeLengthTable);
+                if (symbol < 16) { lengths.push(symbol); continue; }
+                let value = 0;
+                let repeat;
+                if (symbol === 16) {
+                    if (lengths.length === 0) throw new Error('Repeat with no previous length');
+                    value = lengths[lengths.length - 1];
+                    repeat = 3 + readBits(2);
+                } else if (symbol === 17) {
+                    repeat = 3 + readBits(3);
+                } else {
+                    repeat = 11 + readBits(7);
+                }
+                if (lengths.length + repeat > literalCount + distanceCount) throw new Error('Too many code lengths');
+                for (let i = 0; i < repeat; i++) lengths.push(value);
+            }
+            return [buildTable(lengths.slice(0, literalCount)), buildTable(lengths.slice(literalCount))];
+        };
+
+        let final = 0;
+        while (!final) {
+            final = readBits(1);
+            const type = readBits(2);
+            if (type === 0) {
+                // Stored block: skip to the byte boundary, then LEN and its complement NLEN
+                bitBuffer = 0;
+                bitCount = 0;
+                if (position + 4 > input.length) throw new Error('Unexpected end of compressed data');
+                const length = input[position] | (input[position + 1] << 8);
+                if ((length ^ (input[position + 2] | (input[position + 3] << 8))) !== 0xffff) throw new Error('Invalid stored block length');
+                position += 4;
+                if (position + length > input.length) throw new Error('Unexpected end of compressed data');
+                for (let i = 0; i < length; i++) out.push(input[position++]);
+            } else if (type === 1 || type === 2) {
+                const [literalTable, distanceTable] = type === 1
+                    ? [buildTable([...new Array(144).fill(8), ...new Array(112).fill(9), ...new Array(24).fill(7), ...new Array(8).fill(8)]), buildTable(new Array(30).fill(5))]
+                    : readDynamicTables();
+                for (;;) {
+                    const symbol = readSymbol(literalTable);
+                    if (symbol === 256) break;
+                    if (symbol < 256) {
+                        out.push(symbol);
+                    } else {
+                        const lengthCode = symbol - 257;
+                        if (lengthCode >= DEFLATE_LENGTH_BASE.length) throw new Error('Invalid length code');
+                        const length = DEFLATE_LENGTH_BASE[lengthCode] + readBits(DEFLATE_LENGTH_EXTRA[lengthCode]);
+                        const distCode = readSymbol(distanceTable);
+                        if (distCode >= DEFLATE_DIST_BASE.length) throw new Error('Invalid distance code');
+                        const distance = DEFLATE_DIST_BASE[distCode] + readBits(DEFLATE_DIST_EXTRA[distCode]);
+                        if (distance > out.length) throw new Error('Distance before start of output');
+                        for (let i = 0; i < length; i++) out.push(out[out.length - distance]);
+                    }
+                    if (out.length > maxBytes) throw new Error('Compressed data too large');
+                }
+            } else {
+                throw new Error('Invalid block type');
+            }
+            if (out.length > maxBytes) throw new Error('Compressed data too large');
+        }
+        return Uint8Array.from(out);
+    }
+
+    // Date keys as per-year bitsets, "2025:<base64url>,2026:<base64url>" — bit n (low bit first) is day n
+    // of the year counted from Jan 1, with trailing zero bytes dropped
+    function packDaySet(keys) {
+        if (!Array.isArray(keys)) return keys;
+        const years = new Map();
+        keys.forEach(key => {
+            if (!isValidDateKey(key)) return;
+            const year = Number(key.slice(0, 4));
+            const day = Math.round((Date.UTC(year, Number(key.slice(5, 7)) - 1, Number(key.slice(8, 10))) - Date.UTC(year, 0, 1)) / 86400000);
+            if (!years.has(year)) years.set(year, new Uint8Array(46));
+            years.get(year)[day >> 3] |= 1 << (day & 7);
+        });
+        return [...years].map(([year, bits]) => {
+            let end = bits.length;
+            while (end > 0 && bits[end - 1] === 0) end--;
+            return `${year}:${encodeBase64Url(bits.subarray(0, end))}`;
+        }).join(',');
+    }
+
+    function unpackDaySet(value) {
+        if (typeof value !== 'string') return value;
+        const keys = [];
+        value.split(',').forEach(part => {
+            const match = part.match(/^(\d{4}):([A-Za-z0-9_-]{0,62})$/);
+            if (!match) return;
+            const year = Number(match[1]);
+            decodeBase64Url(match[2]).forEach((byte, index) => {
+                for (let bit = 0; bit < 8; bit++) {
+                    if (!(byte & (1 << bit))) continue;
+                    const date = new Date(Date.UTC(year, 0, 1 + index * 8 + bit));
+                    if (date.getUTCFullYear() === year) keys.push(date.toISOString().slice(0, 10));
+                }
+            });
+        });
+        return keys;
+    }
+
+    // Applies fn to each day list in state data: the built-in types, custom types (ctd) and scenarios (sc)
+    function mapDayLists(data, fn) {
+        const mapValues = obj => Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, fn(value)]));
+        const mapped = { ...data };
+        ['pto', 'act', 'per', 'wel'].forEach(field => { if (field in data) mapped[field] = fn(data[field]); });
+        if (isPlainObject(data.ctd)) mapped.ctd = mapValues(data.ctd);
+        if (isPlainObject(data.sc) && Array.isArray(data.sc.l)) {
+            mapped.sc = { ...data.sc, l: data.sc.l.map(entry => isPlainObject(entry) && isPlainObject(entry.d) ? { ...entry, d: mapValues(entry.d) } : entry) };
+        }
+        return mapped;
+    }
+
+    // Current-format URL state for the page's state data
+    function encodePlanState(data) {
+        const json = JSON.stringify(mapDayLists(data, packDaySet));
+        return `${STATE_FORMAT_VERSION}.${encodeBase64Url(deflateRaw(new TextEncoder().encode(json)))}`;
+    }
+
+    // Readers for each versioned format, each migrating its payload to the format 1 JSON that
+    // parsePlanState reads. Bump STATE_FORMAT_VERSION and add a reader here when the encoding changes;
+    // old readers stay so every shared link and stored short code keeps working.
+    const STATE_FORMAT_READERS = {
+        2: payload => mapDayLists(
+            parseJsonSafe(new TextDecoder().decode(inflateRaw(decodeBase64Url(payload), MAX_INFLATED_STATE_BYTES))) || {},
+            unpackDaySet
+        )
+    };
+
+    // State data from any URL state format, or null when it can't be read
+    function decodePlanStateData(encoded) {
+        if (typeof encoded !== 'string' || !encoded || encoded.length > MAX_URL_STATE_CHARS) return null;
+        try {
+            const versioned = encoded.match(/^(\d+)\.(.*)$/);
+            if (versioned) {
+                const read = STATE_FORMAT_READERS[versioned[1]];
+                return read ? read(versioned[2]) : null;
+            }
+            // Format 1 never has a version prefix — base64 has no ".". It's base64 UTF-8, except the oldest
+            // links, which were btoa over the raw string and so read as Latin-1 when they aren't valid UTF-8.
+            let json;
+            try {
+                json = decodeBase64Utf8(encoded, { fatal: true });
+            } catch {
+                json = atob(encoded);
+            }
+            const data = parseJsonSafe(json);
+            return isPlainObject(data) ? data : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // ── URL state ──
+    // Validated plan fields from an encoded URL state, or null when it can't be read. Page-only fields
+    // (balances, paychecks, theme, units, policies) are left in `data` for the page to pick up.
+    function parsePlanState(encoded) {
+        const data = decodePlanStateData(encoded);
+        if (!isPlainObject(data)) return null;
+
+        const validYear = value => Number.isInteger(value) && value >= 2000 && value <= 2100 ? value : null;
+        const year = validYear(Number(data.y));
+        // Links from before multi-year planning entered balances for the year they showed
+        const balanceYear = validYear(data.by === undefined ? Number(data.y) : Number(data.by));
+
+        // Links from before work schedules all used a 9/80 with Fridays off
+        const schedule = isPlainObject(data.ws) ? data.ws : { p: '980-fri' };
+        const customWeeks = schedule.p === 'custom' ? normalizeScheduleWeeks(schedule.w) : null;
+        let workSchedule = null;
+        if (customWeeks) workSchedule = { preset: 'custom', weeks: customWeeks };
+        else if (WORK_SCHEDULE_PRESETS[schedule.p]) workSchedule = { preset: schedule.p, weeks: null };
+
+        const custom = normalizeCustomTypeState(data.ct, data.ctd);
+        const selectedDays = {
+            pto: new Set(sanitizeDateKeys(data.pto)),
+            activism: new Set(sanitizeDateKeys(data.act)),
+            personal: new Set(sanitizeDateKeys(data.per)),
+            wellness: new Set(sanitizeDateKeys(data.wel))
+        };
+        custom.types.forEach(ct => { selectedDays[ct.id] = new Set(custom.selectedByType[ct.id] || []); });
+
+        return {
+            data,
+            year,
+            balanceYear,
+            cycleAnchorDate: isValidDateKey(data.ff) ? data.ff : null,
+            // Links from before holiday calendars were always the US federal set with no custom holidays
+            holidaySet: HOLIDAY_SETS[data.hs] ? data.hs : 'us',
+            holidayIds: Array.isArray(data.h) ? new Set(data.h.filter(id => typeof id === 'string')) : null,
+            customHolidays: Array.isArray(data.hc) ? data.hc.slice(0, MAX_CUSTOM_HOLIDAYS).map(normalizeHolidayDef).filter(Boolean) : [],
+            workSchedule,
+            customTypes: custom.types,
+            selectedDays,
+            partialDays: normalizePartialDays(data.dp, new Set(Object.keys(selectedDays))),
+            // null unless the link carries two or more named scenarios
+            scenarios: normalizeScenarios(data.sc, new Set(Object.keys(selectedDays))),
+            // Links from before calendar feeds share busy blocks only
+            calendarFeed: CALENDAR_FEED_MODES.includes(data.cf) ? data.cf : DEFAULT_CALENDAR_FEED,
+            linkPreview: LINK_PREVIEW_MODES.includes(data.lp) ? data.lp : DEFAULT_LINK_PREVIEW,
+            // Links from before leave rules have none
+            leaveRules: parseLeaveRules(data.lr)
+        };
+    }
+
+    // Headline figures for a parsed plan's year, counted like the page's KPI cards: workdays taken off
+    // (partial days only once their day-off entries cover the whole day) and runs of consecutive days off
+    // touching the year — including weekends, holidays and scheduled days off, with a month either side
+    // so a break across New Year is one run
+    function planSummary(plan) {
+        const year = plan.year ?? new Date().getFullYear();
+        const cal = planCalendar(plan, year - 1, year + 1);
+        const counted = new Set();
+        cal.typeIds.filter(cal.isAway).forEach(typeId => cal.selectedDays[typeId].forEach(key => counted.add(key)));
+        Object.entries(cal.partialDays).forEach(([key, entries]) => {
+            const hours = entries.filter(e => cal.isAway(e.type)).reduce((sum, e) => sum + e.hours, 0);
+            if (hours > 0 && hours >= cal.hoursForDay(key)) counted.add(key);
+        });
+
+        const runs = [];
+        let current = [];
+        const flush = () => {
+            if (current.some(key => key.startsWith(`${year}-`))) runs.push(current);
+            current = [];
+        };
+        for (let d = new Date(year - 1, 11, 1); d <= new Date(year + 1, 0, 31); d.setDate(d.getDate() + 1)) {
+            const key = dateKey(d);
+            if (cal.isScheduledOff(key) || counted.has(key)) current.push(key);
+            else flush();
+        }
+        flush();
+        return {
+            year,
+            timeOffDays: [...counted].filter(key => key.startsWith(`${year}-`)).length,
+            longestBreak: runs.reduce((longest, run) => Math.max(longest, run.length), 0),
+            breaks: runs.filter(run => run.length >= 4).length
+        };
+    }
+
+    // ── ICS ──
+    // RFC 7986 COLOR takes a CSS color name, so type colors are matched to the nearest of these
+    const ICS_COLOR_NAMES = {
+        red: [255, 0, 0], crimson: [220, 20, 60], orange: [255, 165, 0], gold: [255, 215, 0], yellowgreen: [154, 205, 50],
+        green: [0, 128, 0], teal: [0, 128, 128], turquoise: [64, 224, 208], deepskyblue: [0, 191, 255], royalblue: [65, 105, 225],
+        blue: [0, 0, 255], navy: [0, 0, 128], blueviolet: [138, 43, 226], purple: [128, 0, 128], violet: [238, 130, 238],
+        deeppink: [255, 20, 147], hotpink: [255, 105, 180], brown: [165, 42, 42], gray: [128, 128, 128], black: [0, 0, 0]
+    };
+
+    function escapeICSText(value) { return String(value).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n'); }
+    // Lines longer than 75 octets continue on the next line after a space, never splitting a character
+    function foldICSLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+        const parts = [];
+        let current = '', size = 0;
+        for (const char of line) {
+            const charSize = encoder.encode(char).length;
+            if (size + charSize > (parts.length === 0 ? 75 : 74)) { parts.push(current); current = ''; size = 0; }
+            current += char;
+            size += charSize;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+    function icsColorName(hex) {
+        const m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        if (!m) return null;
+        const rgb = m.slice(1).map(h => parseInt(h, 16));
+        let best = null, bestDistance = Infinity;
+        Object.entries(ICS_COLOR_NAMES).forEach(([name, ref]) => {
+            const distance = ref.reduce((sum, v, i) => sum + (v - rgb[i]) ** 2, 0);
+            if (distance < bestDistance) { best = name; bestDistance = distance; }
+        });
+        return best;
+    }
+
+    function icsDate(key) { return key.replace(/-/g, ''); }
+    // Floating local time — the event lands at the same wall-clock time in any zone
+    function icsDateTime(key, time, addHours = 0) {
+        const [y, m, d] = key.split('-').map(Number);
+        const dt = new Date(y, m - 1, d, 0, timeToMinutes(time) + Math.round(addHours * 60));
+        return `${dateKey(dt).replace(/-/g, '')}T${String(dt.getHours()).padStart(2, '0')}${String(dt.getMinutes()).padStart(2, '0')}00`;
+    }
+    // DTSTART / DTEND lines for whole days `from` through `to`, or for `hours` from `start` on one date
+    function icsDateSpan(from, to = from) {
+        return { start: `DTSTART;VALUE=DATE:${icsDate(from)}`, end: `DTEND;VALUE=DATE:${icsDate(shiftDateKey(to, 1))}` };
+    }
+    function icsTimeSpan(key, start, hours) {
+        return { start: `DTSTART:${icsDateTime(key, start)}`, end: `DTEND:${icsDateTime(key, start, hours)}` };
+    }
+
+    // Runs of sorted date keys; a run carries on over dates where isScheduledOff(key) holds
+    // (weekends, holidays and scheduled days off)
+    function keyRuns(keys, isScheduledOff) {
+        const runs = [];
+        keys.forEach(key => {
+            const last = runs[runs.length - 1];
+            let bridged = !!last;
+            if (last) for (let k = shiftDateKey(last.end, 1); k < key; k = shiftDateKey(k, 1)) if (!isScheduledOff(k)) { bridged = false; break; }
+            if (bridged) { last.end = key; last.keys.push(key); } else runs.push({ start: key, end: key, keys: [key] });
+        });
+        return runs;
+    }
+
+    // Events for a plan's time off. `source` is
+    //   { typeIds, selectedDays: { id → Set }, partialDays: { key → entries }, isAway(id), isScheduledOff(key),
+    //     typeName(id), typeColor(id) → '#rrggbb', describe(id, keys), uid(...parts) }
+    // Full days are grouped per type when split (types that don't count as days off always are), otherwise
+    // every away type shares one "Out of office" group. With busyOnly, away time becomes anonymous "Busy"
+    // blocks with no names, details or colors, and types that don't count as days off are left out.
+    function timeOffEvents(source, { perDay = false, splitTypes = false, busyOnly = false } = {}) {
+        const { selectedDays, partialDays, isAway, typeName, uid } = source;
+        const typeIds = busyOnly ? source.typeIds.filter(isAway) : source.typeIds;
+        const colorOf = typeId => icsColorName(source.typeColor(typeId));
+        const events = [];
+
+        const single = typeId => ({ id: typeId, typeIds: [typeId] });
+        const groups = busyOnly ? [{ id: 'busy', typeIds }]
+            : splitTypes ? typeIds.map(single)
+            : [{ id: 'ooo', typeIds: typeIds.filter(isAway) }, ...typeIds.filter(typeId => !isAway(typeId)).map(single)];
+        groups.forEach(group => {
+            const keys = [...new Set(group.typeIds.flatMap(typeId => [...(selectedDays[typeId] || [])]))].sort();
+            const blocks = perDay ? keys.map(key => ({ start: key, end: key, keys: [key] })) : keyRuns(keys, source.isScheduledOff);
+            blocks.forEach(block => {
+                const span = icsDateSpan(block.start, block.end);
+                const id = uid(group.id, icsDate(block.start));
+                if (busyOnly) { events.push({ uid: id, ...span, summary: 'Busy' }); return; }
+                const blockTypes = group.typeIds.filter(typeId => block.keys.some(key => selectedDays[typeId]?.has(key)));
+                const away = blockTypes.some(isAway);
+                const name = group.id === 'ooo' ? null : typeName(group.id);
+                events.push({
+                    uid: id,
+                    ...span,
+                    summary: !name ? 'Out of office' : (away ? `Out of office (${name})` : name),
+                    description: `${block.start === block.end ? block.start : `${block.start} to ${block.end}`} — ${blockTypes.map(typeId => source.describe(typeId, block.keys.filter(key => selectedDays[typeId]?.has(key)))).join('; ')}`,
+                    categories: blockTypes.map(typeName),
+                    color: colorOf(blockTypes[0]),
+                    busy: away
+                });
+            });
+        });
+
+        // Partial days are timed events rather than joining the all-day ranges
+        Object.keys(partialDays).sort().forEach(key => {
+            partialDays[key].filter(e => typeIds.includes(e.type)).forEach(e => {
+                const span = icsTimeSpan(key, e.start, e.hours);
+                if (busyOnly) { events.push({ uid: uid('busy', icsDate(key), e.start.replace(':', '')), ...span, summary: 'Busy' }); return; }
+                const name = typeName(e.type);
+                events.push({
+                    uid: uid(e.type, icsDate(key), e.start.replace(':', '')),
+                    ...span,
+                    summary: isAway(e.type) ? `Out of office (${name} ${+e.hours.toFixed(2)}h)` : `${name} ${+e.hours.toFixed(2)}h`,
+                    description: `${key} from ${e.start} — ${source.describe(e.type, [key])}`,
+                    categories: [name],
+                    color: colorOf(e.type),
+                    busy: isAway(e.type)
+                });
+            });
+        });
+        return events;
+    }
+
+    // A whole VCALENDAR from events of { uid, start, end, summary, description?, categories?, color?, busy? }.
+    // `name` and `refreshHours` are for subscribed calendars.
+    function buildICS(events, { name = null, refreshHours = null } = {}) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Time Off Optimizer//pt-onia.app//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+        ];
+        if (name) lines.push(`NAME:${escapeICSText(name)}`, `X-WR-CALNAME:${escapeICSText(name)}`);
+        if (refreshHours) lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`, `X-PUBLISHED-TTL:PT${refreshHours}H`);
+        events.forEach(({ uid, start, end, summary, description, categories = [], color = null, busy = true }) => {
+            lines.push('BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${stamp}`, start, end, `SUMMARY:${escapeICSText(summary)}`);
+            if (description) lines.push(`DESCRIPTION:${escapeICSText(description)}`);
+            if (categories.length > 0) lines.push(`CATEGORIES:${categories.map(escapeICSText).join(',')}`);
+            if (color) lines.push(`COLOR:${color}`);
+            lines.push(`TRANSP:${busy ? 'OPAQUE' : 'TRANSPARENT'}`, 'END:VEVENT');
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(foldICSLine).join('\r\n');
+    }
+
+    root.PlanCore = {
+        MAX_URL_STATE_CHARS, MAX_SELECTED_DAYS_PER_TYPE, MAX_CUSTOM_TYPES, DATE_KEY_REGEX,
+        BUILTIN_TYPES, BUILTIN_TYPE_LABELS, BUILTIN_TYPE_COLORS,
+        HOLIDAY_SETS, HOLIDAY_RULE_TYPES, HOLIDAY_OBSERVANCES, MAX_CUSTOM_HOLIDAYS, MAX_PARTIAL_DAYS, MAX_PARTIAL_ENTRIES, MAX_SCENARIOS,
+        CALENDAR_FEED_MODES, DEFAULT_CALENDAR_FEED, LINK_PREVIEW_MODES, DEFAULT_LINK_PREVIEW, WORK_SCHEDULE_PRESETS, CUSTOM_SCHEDULE_LABELS,
+        MAX_BLACKOUTS, LEAVE_RULE_LIMITS,
+        dateKey, shiftDateKey, timeToMinutes, minutesToTime,
+        parseJsonSafe, isPlainObject, isValidDateKey, sanitizeDateKeys, encodeBase64Utf8, decodeBase64Utf8,
+        normalizeCustomType, normalizeCustomTypeState, normalizeHolidayRule, normalizeHolidayDef,
+        normalizeScheduleWeeks, normalizePartialEntry, normalizePartialDays, scenarioName, normalizeScenarios,
+        holidaysForYear, holidaysInRange, enabledHolidayDefs,
+        workScheduleWeeks, cycleAnchor, cycleWeekIndex, scheduledHours, compressedDaysOffInRange,
+        deflateRaw, inflateRaw, packDaySet, unpackDaySet,
+        planCalendar, planAbsences, encodePlanState, decodePlanStateData, parsePlanState, planSummary,
+        normalizeLeaveRules, hasLeaveRules, encodeLeaveRules, parseLeaveRules, leaveRuleViolations,
+        escapeICSText, foldICSLine, icsColorName, icsDate, icsDateSpan, icsTimeSpan, keyRuns, timeOffEvents, buildICS
+    };
+})(globalThis);
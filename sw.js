@@ -0,0 +1,98 @@
+/**
+ * Service worker for the planner (index.html): keeps the page, plan-core.js, icons and fonts in a
+ * cache so the planner opens and works with no connection.
+ *
+ * Page loads go to the network first and fall back to the cached page — the same page serves
+ * /s/<code>, which then restores the plan from the local plan library. Same-origin scripts go to
+ * the network first too, so the page never runs against an older plan-core.js. Icons and fonts
+ * are served from the cache and refreshed in the background. /api/* is never cached.
+ *
+ * Bump CACHE_VERSION when the precached file list changes; old caches are dropped on activate.
+ */
+'use strict';
+
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `pt-onia-${CACHE_VERSION}`;
+const PAGE_URL = '/';
+const PRECACHE_URLS = [
+    PAGE_URL,
+    '/plan-core.js',
+    '/site.webmanifest',
+    '/favicon.ico',
+    '/favicon.svg',
+    '/favicon-96x96.png',
+    '/apple-touch-icon.png',
+    '/web-app-manifest-192x192.png',
+    '/web-app-manifest-512x512.png'
+];
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(PRECACHE_URLS))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key.startsWith('pt-onia-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Network first; a fresh copy of the page replaces the cached one. Offline, every
+// navigation (/, /s/<code>, /#<state>) gets the cached page.
+async function handleNavigation(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok && new URL(request.url).pathname === PAGE_URL) await cache.put(PAGE_URL, response.clone());
+        return response;
+    } catch {
+        return (await cache.match(PAGE_URL)) || Response.error();
+    }
+}
+
+// Network first, keeping the cached copy current — the page is fetched the same way, so both
+// come from the same deploy whenever there's a connection
+async function handleScript(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch {
+        return (await cache.match(request, { ignoreSearch: true })) || Response.error();
+    }
+}
+
+// Stale-while-revalidate: answer from the cache when we can and refresh it in the background
+async function handleAsset(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const refresh = fetch(event.request).then(response => {
+        // Opaque responses (cross-origin font files) are cacheable but report status 0
+        if (response.ok || response.type === 'opaque') return cache.put(event.request, response.clone()).then(() => response);
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) return;
+        if (request.mode === 'navigate') { event.respondWith(handleNavigation(request)); return; }
+        // Link previews and calendar feeds are generated per code by the worker; only static files are cached
+        if (url.pathname.startsWith('/og/') || url.pathname.startsWith('/cal/')) return;
+        if (url.pathname.endsWith('.js')) { event.respondWith(handleScript(request)); return; }
+        event.respondWith(handleAsset(event));
+    } else if (FONT_ORIGINS.includes(url.origin)) {
+        event.respondWith(handleAsset(event));
+    }
+});
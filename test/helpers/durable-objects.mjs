@@ -0,0 +1,96 @@
+// In-memory stand-ins for the Workers runtime pieces the worker tests need.
+
+const tick = () => new Promise(resolve => setTimeout(resolve, Math.random() * 3));
+
+// Durable Object storage backed by a Map. Every call yields first, so concurrent callers interleave
+// the way they would against real storage.
+export function memoryStorage() {
+    const data = new Map();
+    let alarm = null;
+    return {
+        data,
+        get alarm() { return alarm; },
+        async get(key) {
+            await tick();
+            return structuredClone(data.get(key));
+        },
+        async put(key, value) {
+            await tick();
+            const entries = typeof key === 'string' ? { [key]: value } : key;
+            Object.entries(entries).forEach(([k, v]) => data.set(k, structuredClone(v)));
+        },
+        async delete(keys) {
+            await tick();
+            (Array.isArray(keys) ? keys : [keys]).forEach(key => data.delete(key));
+        },
+        async list({ prefix = '', start = '', end } = {}) {
+            await tick();
+            const keys = [...data.keys()].filter(key => key.startsWith(prefix) && key >= start && (end === undefined || key < end)).sort();
+            return new Map(keys.map(key => [key, structuredClone(data.get(key))]));
+        },
+        async deleteAll() {
+            await tick();
+            data.clear();
+        },
+        async setAlarm(time) {
+            alarm = time;
+        },
+    };
+}
+
+// A Durable Object namespace binding that builds each named object on first use. Events reach an
+// object one at a time, as the runtime's input gate holds new ones while storage calls are pending;
+// blockConcurrencyWhile holds them until its callback settles.
+export function durableObjectNamespace(ObjectClass, env = {}) {
+    const objects = new Map();
+    const instance = id => {
+        if (!objects.has(id)) {
+            let queue = Promise.resolve();
+            const state = {
+                storage: memoryStorage(),
+                blockConcurrencyWhile(fn) {
+                    const run = queue.then(fn);
+                    queue = run.catch(() => {});
+                    return run;
+                },
+            };
+            const object = new ObjectClass(state, env);
+            objects.set(id, {
+                object,
+                state,
+                deliver: event => {
+                    const run = queue.then(() => event(object));
+                    queue = run.catch(() => {});
+                    return run;
+                },
+            });
+        }
+        return objects.get(id);
+    };
+    return {
+        objects,
+        instance,
+        idFromName: name => name,
+        get: id => ({
+            fetch: (url, init) => instance(id).deliver(object => object.fetch(new Request(url, init))),
+        }),
+    };
+}
+
+// A namespace whose objects can't be reached
+export function unreachableNamespace() {
+    return {
+        idFromName: name => name,
+        get: () => ({ fetch: async () => { throw new Error('Durable Object unreachable'); } }),
+    };
+}
+
+export const APP_ORIGIN = 'https://pt-onia.app';
+
+export function apiRequest(method, path, { body, ip = '203.0.113.1', headers = {} } = {}) {
+    return new Request(`${APP_ORIGIN}${path}`, {
+        method,
+        headers: { Origin: APP_ORIGIN, 'Content-Type': 'application/json', 'CF-Connecting-IP': ip, ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+}
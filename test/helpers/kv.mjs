@@ -0,0 +1,54 @@
+// In-memory stand-ins for a KV namespace binding and the Cache API's caches.default.
+
+// Listing pages are in key order; a cursor is the last key of the page before, so keys deleted
+// while paging don't shift later pages.
+export function memoryKV() {
+    const data = new Map();
+    const listCalls = [];
+    return {
+        data,
+        listCalls,
+        async get(key) {
+            return data.get(key)?.value ?? null;
+        },
+        async getWithMetadata(key) {
+            const entry = data.get(key);
+            return { value: entry?.value ?? null, metadata: entry?.metadata ?? null };
+        },
+        async put(key, value, { metadata = null } = {}) {
+            data.set(key, { value: String(value), metadata });
+        },
+        async delete(key) {
+            data.delete(key);
+        },
+        async list({ prefix = '', cursor, limit = 1000 } = {}) {
+            listCalls.push({ prefix, cursor, limit });
+            const names = [...data.keys()].filter(key => key.startsWith(prefix) && (!cursor || key > cursor)).sort();
+            const keys = names.slice(0, limit).map(name => ({ name, metadata: data.get(name).metadata }));
+            const complete = names.length <= limit;
+            return { keys, list_complete: complete, cursor: complete ? undefined : keys[keys.length - 1].name };
+        },
+    };
+}
+
+// Installs a Map-backed caches.default on globalThis and returns the Map (keyed by URL)
+export function installMemoryCache() {
+    const entries = new Map();
+    globalThis.caches = {
+        default: {
+            async match(request) { return entries.get(request.url)?.clone(); },
+            async put(request, response) { entries.set(request.url, response); },
+            async delete(request) { return entries.delete(request.url); },
+        },
+    };
+    return entries;
+}
+
+// An execution context whose waitUntil promises can be awaited with settle()
+export function executionContext() {
+    const pending = [];
+    return {
+        waitUntil: promise => { pending.push(promise); },
+        settle: () => Promise.all(pending.splice(0)),
+    };
+}
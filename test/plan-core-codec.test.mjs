@@ -0,0 +1,125 @@
+// URL state codec: round trips, interop with zlib, format 1 links and the size of a typical plan.
+// Run with `node --test test/`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import '../plan-core.js';
+
+const { deflateRaw, inflateRaw, packDaySet, unpackDaySet, encodePlanState, decodePlanStateData, parsePlanState } = globalThis.PlanCore;
+
+// Seeded so a failure reproduces
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomDays(rand, year, count) {
+    const days = new Set();
+    for (let i = 0; i < count; i++) {
+        const date = new Date(Date.UTC(year + (rand() < 0.2 ? 1 : 0), 0, 1 + Math.floor(rand() * 366)));
+        days.add(date.toISOString().slice(0, 10));
+    }
+    return [...days].sort();
+}
+
+function randomPlan(rand) {
+    const year = 2020 + Math.floor(rand() * 10);
+    const count = max => Math.floor(rand() * max);
+    const ct = Array.from({ length: count(4) }, (_, i) => ({ id: `custom_${i}`, name: `Type ${i} ✈️ é`, color: '#336699' }));
+    return {
+        y: year,
+        by: year,
+        pto: randomDays(rand, year, count(40)),
+        act: randomDays(rand, year, count(5)),
+        per: randomDays(rand, year, count(5)),
+        wel: randomDays(rand, year, count(5)),
+        ct,
+        ctd: Object.fromEntries(ct.map(type => [type.id, randomDays(rand, year, count(15))])),
+        ws: { p: '980-fri' },
+        sc: { a: 0, l: [{ n: 'Trip A', d: { pto: randomDays(rand, year, count(20)) } }] },
+        b: { pto: Math.round(rand() * 2000) / 10 }
+    };
+}
+
+test('encoded plans decode to the same state data', () => {
+    const rand = random(1);
+    for (let i = 0; i < 200; i++) {
+        const plan = randomPlan(rand);
+        const encoded = encodePlanState(plan);
+        assert.match(encoded, /^2\.[A-Za-z0-9_-]*$/);
+        assert.deepEqual(decodePlanStateData(encoded), plan);
+    }
+});
+
+test('day sets pack per year and unpack in order', () => {
+    const keys = ['2024-01-01', '2024-02-29', '2024-12-31', '2025-07-04'];
+    assert.equal(packDaySet([]), '');
+    assert.deepEqual(unpackDaySet(''), []);
+    assert.deepEqual(unpackDaySet(packDaySet(keys)), keys);
+    assert.deepEqual(unpackDaySet(packDaySet(['2025-01-01', 'nope', '2025-13-01'])), ['2025-01-01']);
+});
+
+test('deflateRaw output inflates with zlib and zlib output inflates with inflateRaw', () => {
+    const rand = random(2);
+    const inputs = [
+        new Uint8Array(0),
+        new TextEncoder().encode('a'),
+        new TextEncoder().encode('abcabcabcabcabcabcabcabc'.repeat(50)),
+        Uint8Array.from({ length: 5000 }, () => Math.floor(rand() * 256)),
+        Uint8Array.from({ length: 70000 }, () => 97 + Math.floor(rand() * 4)),
+        new TextEncoder().encode(JSON.stringify(randomPlan(rand)))
+    ];
+    inputs.forEach(input => {
+        assert.deepEqual(new Uint8Array(zlib.inflateRawSync(deflateRaw(input))), input);
+        [zlib.constants.Z_NO_COMPRESSION, zlib.constants.Z_DEFAULT_COMPRESSION, zlib.constants.Z_BEST_COMPRESSION].forEach(level => {
+            assert.deepEqual(inflateRaw(zlib.deflateRawSync(input, { level }), 1 << 20), input);
+        });
+    });
+});
+
+test('inflateRaw stops at maxBytes and on corrupt input', () => {
+    const zeros = zlib.deflateRawSync(new Uint8Array(300000));
+    assert.throws(() => inflateRaw(zeros, 1000), /too large/);
+    assert.throws(() => inflateRaw(Uint8Array.of(0xff, 0xff, 0xff), 1000));
+    assert.equal(decodePlanStateData(`2.${Buffer.from(zeros).toString('base64url')}`), null);
+});
+
+test('format 1 links still decode', () => {
+    const plan = { y: 2025, pto: ['2025-07-03', '2025-07-07'], ct: [{ id: 'custom_1', name: 'Fête ✈️', color: '#336699' }], ctd: { custom_1: ['2025-05-01'] } };
+    const utf8 = Buffer.from(JSON.stringify(plan), 'utf8').toString('base64');
+    assert.deepEqual(decodePlanStateData(utf8), plan);
+    assert.deepEqual([...parsePlanState(utf8).selectedDays.pto], plan.pto);
+
+    // The oldest links were btoa(JSON) over the raw string, so anything outside ASCII is Latin-1
+    const legacy = { y: 2024, pto: ['2024-12-24'], ct: [{ id: 'custom_1', name: 'Congé', color: '#336699' }], ctd: { custom_1: ['2024-08-15'] } };
+    const latin1 = Buffer.from(JSON.stringify(legacy), 'latin1').toString('base64');
+    assert.deepEqual(decodePlanStateData(latin1), legacy);
+    assert.equal(parsePlanState(latin1).customTypes[0].name, 'Congé');
+
+    assert.equal(decodePlanStateData('not base64!'), null);
+    assert.equal(decodePlanStateData(Buffer.from('[1,2]').toString('base64')), null);
+    assert.equal(decodePlanStateData('9.abc'), null);
+});
+
+test('a typical full-year plan stays within its size budget', () => {
+    const rand = random(3);
+    const weekdays = (year, count) => randomDays(rand, year, count * 2).filter(key => ![0, 6].includes(new Date(`${key}T00:00:00Z`).getUTCDay())).slice(0, count);
+    const plan = {
+        y: 2025, by: 2025,
+        pto: weekdays(2025, 25), act: weekdays(2025, 3), per: weekdays(2025, 3), wel: weekdays(2025, 4),
+        ct: [{ id: 'custom_jury', name: 'Jury duty', color: '#8e44ad' }, { id: 'custom_training', name: 'Training', color: '#16a085' }],
+        ctd: { custom_jury: weekdays(2025, 5), custom_training: weekdays(2025, 10) },
+        ws: { p: '980-fri' },
+        b: { pto: 120, act: 24, per: 24, wel: 32 },
+        sc: { a: 0, l: [{ n: 'Summer trip', d: { pto: weekdays(2025, 25) } }, { n: 'Winter trip', d: { pto: weekdays(2025, 25) } }] }
+    };
+    const encoded = encodePlanState(plan);
+    const format1 = Buffer.from(JSON.stringify(plan), 'utf8').toString('base64');
+    assert.deepEqual(decodePlanStateData(encoded), plan);
+    assert.ok(encoded.length <= 600, `encoded plan is ${encoded.length} chars`);
+    assert.ok(encoded.length < format1.length / 2, `encoded plan is ${encoded.length} chars, format 1 is ${format1.length}`);
+});
@@ -0,0 +1,75 @@
+// Leave rules: the link form and the checks run against a plan's time off.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../plan-core.js';
+
+const { encodePlanState, parsePlanState, normalizeLeaveRules, encodeLeaveRules, parseLeaveRules, leaveRuleViolations } = globalThis.PlanCore;
+
+// Plans go through a link like the page's, on a 5x8 schedule with US federal holidays
+const plan = (data = {}) => parsePlanState(encodePlanState({ y: 2026, ws: { p: '5x8' }, ...data }));
+const rules = fields => normalizeLeaveRules(fields);
+const check = (data, fields, today = '2026-03-02') => leaveRuleViolations(plan(data), rules(fields), 2026, 2026, today);
+const ofRule = (result, rule) => result.violations.filter(v => v.rule === rule);
+
+test('leave rules survive a link and drop values they cannot use', () => {
+    const full = rules({
+        blackouts: [{ start: '2026-12-31', end: '2026-12-20', name: '  Year end\u0007 ' }, { start: '2026-07-01', end: '2026-07-03' }],
+        minNoticeDays: 14, maxConsecutiveDays: 5, maxDaysPerMonth: 4, approvalHours: 37.5
+    });
+    assert.deepEqual(full.blackouts, [{ start: '2026-12-20', end: '2026-12-31', name: 'Year end' }, { start: '2026-07-01', end: '2026-07-03', name: '' }]);
+
+    const lr = encodeLeaveRules(full);
+    assert.deepEqual(lr, { b: [{ s: '2026-12-20', e: '2026-12-31', n: 'Year end' }, { s: '2026-07-01', e: '2026-07-03' }], mn: 14, mc: 5, mm: 4, ah: 37.5 });
+    assert.deepEqual(parseLeaveRules(lr), full);
+    assert.deepEqual(plan({ lr }).leaveRules, full);
+
+    // Links from before leave rules, and limits that are zero, fractional where they must be whole, or too big
+    assert.deepEqual(plan().leaveRules, rules(null));
+    assert.deepEqual(parseLeaveRules({ b: [{ s: 'nope', e: '2026-01-01' }], mn: 0, mc: 2.5, mm: 32, ah: '' }), rules(null));
+    assert.equal(encodeLeaveRules(rules(null)), null);
+});
+
+test('time off inside the notice period is flagged up to the cutoff, and past days are not', () => {
+    const result = check({ pto: ['2026-02-27', '2026-03-03', '2026-03-13', '2026-03-16'] }, { minNoticeDays: 14 });
+    const [notice] = ofRule(result, 'minNoticeDays');
+    assert.equal(notice.cutoff, '2026-03-16');
+    assert.equal(notice.severity, 'error');
+    assert.deepEqual(notice.keys, ['2026-03-03', '2026-03-13']);
+    assert.deepEqual(result.byDay.get('2026-03-13'), [notice]);
+    assert.equal(result.byDay.has('2026-03-16'), false);
+    assert.deepEqual(check({ pto: ['2026-03-16'] }, { minNoticeDays: 14 }).violations, []);
+});
+
+test('runs bridge weekends and holidays, and only whole days extend them', () => {
+    // Thanksgiving is Thursday the 26th; the 1st is a half day
+    const data = {
+        pto: ['2026-11-23', '2026-11-24', '2026-11-25', '2026-11-27', '2026-11-30', '2026-12-02'],
+        dp: { '2026-12-01': [['pto', 4, '09:00']] }
+    };
+    const runs = ofRule(check(data, { maxConsecutiveDays: 4 }), 'maxConsecutiveDays');
+    assert.equal(runs.length, 1);
+    assert.deepEqual([runs[0].start, runs[0].end, runs[0].keys.length], ['2026-11-23', '2026-11-30', 5]);
+    assert.deepEqual(check(data, { maxConsecutiveDays: 5 }).violations, []);
+
+    // A whole day on the 1st joins the two runs
+    const joined = ofRule(check({ ...data, dp: { '2026-12-01': [['pto', 8, '09:00']] } }, { maxConsecutiveDays: 5 }), 'maxConsecutiveDays');
+    assert.deepEqual(joined.map(run => [run.start, run.end, run.keys.length]), [['2026-11-23', '2026-12-02', 7]]);
+});
+
+test('partial days count as a fraction of a day toward the monthly limit', () => {
+    const data = { pto: ['2026-03-02', '2026-03-03'], dp: { '2026-03-04': [['pto', 2, '09:00'], ['personal', 2, '13:00']], '2026-04-01': [['pto', 4, '09:00']] } };
+    const [month] = ofRule(check(data, { maxDaysPerMonth: 2 }), 'maxDaysPerMonth');
+    assert.deepEqual([month.month, month.days, month.keys], ['2026-03', 2.5, ['2026-03-02', '2026-03-03', '2026-03-04']]);
+    assert.deepEqual(check(data, { maxDaysPerMonth: 3 }).violations, []);
+    assert.equal(check(data, {}).booked.get('2026-03-04'), 4);
+});
+
+test('a request over the approval threshold is a warning covering the whole run, partial days included', () => {
+    const data = {
+        pto: ['2026-11-23', '2026-11-24', '2026-11-25', '2026-11-27', '2026-11-30'],
+        dp: { '2026-12-01': [['pto', 4, '09:00']] }
+    };
+    const [request] = ofRule(check(data, { approvalHours: 40 }), 'approvalHours');
+    assert.deepEqual([request.severity, request.start, request.end, request.hours], ['warning', '2026-11-23', '2026-12-01', 44]);
+    assert.deepEqual(check(data, { approvalHours: 44 }).violations, []);
+});
@@ -0,0 +1,105 @@
+// Rate limiting: the RateLimiter object, the headers on a 429 and the in-memory fallback.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker, { RateLimiter, TelemetryCounters } from '../cloudflare-worker.js';
+import { durableObjectNamespace, unreachableNamespace, apiRequest } from './helpers/durable-objects.mjs';
+
+const START = Date.parse('2026-03-02T12:00:00Z');
+
+function rateLimitedEnv(extra = {}) {
+    const env = { RATE_LIMIT_TELEMETRY: '5/60', ...extra };
+    env.TELEMETRY_COUNTERS = durableObjectNamespace(TelemetryCounters, env);
+    return env;
+}
+
+function burst(env, ip, count) {
+    return Promise.all(Array.from({ length: count }, () => worker.fetch(apiRequest('POST', '/api/telemetry', {
+        ip,
+        body: { increments: { saveClicks: 1 } },
+    }), env, {})));
+}
+
+const statuses = responses => responses.map(response => response.status);
+
+function rateLimitHeaders(response) {
+    return Object.fromEntries(['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy']
+        .map(name => [name, response.headers.get(name)]));
+}
+
+test('the RateLimiter object counts every concurrent hit once', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const namespace = durableObjectNamespace(RateLimiter);
+    const limiter = namespace.get(namespace.idFromName('telemetry:abc'));
+    const hit = () => limiter.fetch('https://rate-limiter/hit', { method: 'POST', body: JSON.stringify({ limit: 5, windowSeconds: 60 }) }).then(response => response.json());
+
+    const results = await Promise.all(Array.from({ length: 12 }, hit));
+    assert.equal(results.filter(result => !result.limited).length, 5);
+    assert.deepEqual(results.filter(result => !result.limited).map(result => result.remaining).sort(), [0, 1, 2, 3, 4]);
+    assert.ok(results.filter(result => result.limited).every(result => result.remaining === 0 && result.reset === 60));
+
+    const { storage } = namespace.instance('telemetry:abc').state;
+    assert.equal(storage.data.get('hits').length, 5);
+    assert.equal(storage.alarm, START + 60000);
+
+    t.mock.timers.tick(60000);
+    assert.equal((await hit()).limited, false);
+    await namespace.instance('telemetry:abc').object.alarm();
+    assert.equal(storage.data.size, 0);
+});
+
+test('a 429 carries Retry-After and RateLimit headers for the window', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = rateLimitedEnv({ RATE_LIMITER: durableObjectNamespace(RateLimiter) });
+
+    const responses = await burst(env, '192.0.2.10', 8);
+    assert.deepEqual(statuses(responses).sort(), [200, 200, 200, 200, 200, 429, 429, 429]);
+    const limited = responses.find(response => response.status === 429);
+    assert.deepEqual(rateLimitHeaders(limited), {
+        'Retry-After': '60',
+        'RateLimit-Limit': '5',
+        'RateLimit-Remaining': '0',
+        'RateLimit-Reset': '60',
+        'RateLimit-Policy': '5;w=60',
+    });
+    assert.deepEqual(await limited.json(), { error: 'Rate limited', retryAfter: 60 });
+
+    // The oldest hit leaves the window 60s after it was made
+    t.mock.timers.tick(45000);
+    const [stillLimited] = await burst(env, '192.0.2.10', 1);
+    assert.equal(stillLimited.headers.get('Retry-After'), '15');
+    t.mock.timers.tick(15000);
+    assert.deepEqual(statuses(await burst(env, '192.0.2.10', 6)).sort(), [200, 200, 200, 200, 200, 429]);
+
+    // Each IP has its own window
+    assert.deepEqual(statuses(await burst(env, '192.0.2.11', 1)), [200]);
+});
+
+test('without the RateLimiter binding the window is kept in memory', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = rateLimitedEnv();
+
+    const responses = await burst(env, '192.0.2.20', 8);
+    assert.deepEqual(statuses(responses).sort(), [200, 200, 200, 200, 200, 429, 429, 429]);
+    assert.equal(responses.find(response => response.status === 429).headers.get('RateLimit-Policy'), '5;w=60');
+
+    t.mock.timers.tick(60000);
+    assert.deepEqual(statuses(await burst(env, '192.0.2.20', 1)), [200]);
+});
+
+test('falls back to the in-memory window when the RateLimiter object throws', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = rateLimitedEnv({ RATE_LIMITER: unreachableNamespace() });
+
+    const responses = await burst(env, '192.0.2.30', 8);
+    assert.deepEqual(statuses(responses).sort(), [200, 200, 200, 200, 200, 429, 429, 429]);
+    assert.equal(responses.find(response => response.status === 429).headers.get('Retry-After'), '60');
+});
+
+test('a malformed override keeps the default limit', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = rateLimitedEnv({ RATE_LIMIT_TELEMETRY: '0/60', RATE_LIMITER: durableObjectNamespace(RateLimiter) });
+
+    const responses = await burst(env, '192.0.2.40', 31);
+    assert.equal(statuses(responses).filter(status => status === 429).length, 1);
+    assert.equal(responses.find(response => response.status === 429).headers.get('RateLimit-Policy'), '30;w=60');
+});
@@ -0,0 +1,200 @@
+// Short URLs: reuse of existing codes, expiry cleanup, calendar feed links and the redirect and
+// preview image caches.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../cloudflare-worker.js';
+import { apiRequest } from './helpers/durable-objects.mjs';
+import { memoryKV, installMemoryCache, executionContext } from './helpers/kv.mjs';
+
+const START = Date.parse('2026-03-02T12:00:00Z');
+const DAY = 86400000;
+const cache = installMemoryCache();
+let nextIp = 0;
+
+async function call(env, method, path, { body, headers } = {}) {
+    const ctx = executionContext();
+    const response = await worker.fetch(apiRequest(method, path, { body, headers, ip: `192.0.2.${nextIp++ % 250}` }), env, ctx);
+    await ctx.settle();
+    return response;
+}
+
+const create = async (env, body) => (await call(env, 'POST', '/api/shorten', { body })).json();
+const planUrl = n => `https://pt-onia.app/#plan-${n}`;
+
+async function runCleanup(env) {
+    const ctx = executionContext();
+    await worker.scheduled({ scheduledTime: Date.now() }, env, ctx);
+    const [removed] = await ctx.settle();
+    return removed;
+}
+
+test('a code its owner can still edit is never handed to another creator', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = { SHORT_URLS: memoryKV(), RATE_LIMIT_SHORTEN_CREATE: '100/60' };
+
+    const editable = await create(env, { url: planUrl(1) });
+    const second = await create(env, { url: planUrl(1) });
+    assert.notEqual(second.code, editable.code);
+    assert.equal(second.existing, false);
+    assert.ok(second.editToken);
+
+    const publish = await call(env, 'PUT', '/api/shorten', { body: { code: second.code, token: second.editToken, publish: true } });
+    assert.equal(publish.status, 200);
+    const third = await create(env, { url: planUrl(1) });
+    assert.deepEqual([third.code, third.existing, third.editToken], [second.code, true, undefined]);
+
+    // Codes from before edit tokens have no owner record and are read-only too
+    await env.SHORT_URLS.delete(`owner:${editable.code}`);
+    const hashKey = [...env.SHORT_URLS.data.keys()].find(key => key.startsWith('hash:'));
+    await env.SHORT_URLS.put(hashKey, editable.code);
+    const fourth = await create(env, { url: planUrl(1) });
+    assert.deepEqual([fourth.code, fourth.existing], [editable.code, true]);
+});
+
+test('an update leaves reverse lookups that belong to other codes alone', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = { SHORT_URLS: memoryKV(), RATE_LIMIT_SHORTEN_CREATE: '100/60' };
+    const kv = env.SHORT_URLS;
+    const hashOf = code => [...kv.data].find(([key, entry]) => key.startsWith('hash:') && entry.value === code)?.[0];
+    const update = (owned, url) => call(env, 'PUT', '/api/shorten', { body: { code: owned.code, token: owned.editToken, url } });
+
+    // Both codes were saved with plan 1; the reverse lookup points at the later one
+    const first = await create(env, { url: planUrl(1) });
+    const second = await create(env, { url: planUrl(1) });
+    const plan1Hash = hashOf(second.code);
+    assert.ok(plan1Hash);
+    assert.equal((await update(first, planUrl(2))).status, 200);
+    assert.equal(await kv.get(plan1Hash), second.code);
+    assert.ok(hashOf(first.code));
+
+    // Plan 3 already has a published code; moving another code onto it doesn't take its lookup
+    const published = await create(env, { url: planUrl(3) });
+    await call(env, 'PUT', '/api/shorten', { body: { code: published.code, token: published.editToken, publish: true } });
+    const plan3Hash = hashOf(published.code);
+    assert.equal((await update(second, planUrl(3))).status, 200);
+    assert.equal(await kv.get(plan3Hash), published.code);
+    assert.equal(await kv.get(plan1Hash), null);
+    assert.equal((await create(env, { url: planUrl(3) })).code, published.code);
+});
+
+test('only links that never expire reuse an existing code', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = { SHORT_URLS: memoryKV(), RATE_LIMIT_SHORTEN_CREATE: '100/60' };
+
+    const permanent = await create(env, { url: planUrl(1) });
+    assert.ok(permanent.editToken);
+    await call(env, 'PUT', '/api/shorten', { body: { code: permanent.code, token: permanent.editToken, publish: true } });
+    const again = await create(env, { url: planUrl(1) });
+    assert.deepEqual([again.code, again.existing, again.editToken], [permanent.code, true, undefined]);
+
+    const expiring = await create(env, { url: planUrl(1), expiresInDays: 30 });
+    assert.notEqual(expiring.code, permanent.code);
+    assert.equal(expiring.existing, false);
+    assert.ok(expiring.editToken);
+    assert.equal(expiring.expiresAt, START + 30 * DAY);
+    assert.equal(env.SHORT_URLS.data.get(`meta:${expiring.code}`).metadata.expiresAt, START + 30 * DAY);
+    assert.equal(env.SHORT_URLS.data.get(`meta:${permanent.code}`).metadata.expiresAt, null);
+});
+
+test('cleanup removes expired codes a batch per run and resumes where it stopped', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const kv = memoryKV();
+    const env = { SHORT_URLS: kv };
+    for (let i = 0; i < 1100; i++) {
+        const code = `code${String(i).padStart(4, '0')}`;
+        await kv.put(`code:${code}`, planUrl(i));
+        await kv.put(`meta:${code}`, '', { metadata: { created: START, accessed: null, expiresAt: i % 10 === 0 ? null : START + DAY } });
+    }
+    // A reverse lookup left behind by a code that's already gone
+    await kv.put('hash:0123456789abcdef', 'gone-code-here');
+    t.mock.timers.tick(2 * DAY);
+    const codes = () => [...kv.data.keys()].filter(key => key.startsWith('code:')).length;
+
+    assert.deepEqual(await runCleanup(env), { expired: 450, dangling: 1 });
+    assert.equal(codes(), 1100 - 450);
+    assert.equal(await kv.get('gc:meta-cursor'), 'meta:code0499');
+    assert.deepEqual(await runCleanup(env), { expired: 450, dangling: 0 });
+    assert.equal(codes(), 1100 - 900);
+    assert.deepEqual(await runCleanup(env), { expired: 90, dangling: 0 });
+    assert.equal(codes(), 110);
+    assert.equal(await kv.get('gc:meta-cursor'), null);
+    assert.ok(kv.listCalls.filter(call => call.prefix === 'meta:').every(call => call.limit === 500));
+    assert.ok([...kv.data.keys()].filter(key => key.startsWith('meta:')).every(key => kv.data.get(key).metadata.expiresAt === null));
+});
+
+test('redirects are cached no longer than the code has left, and not after it is removed', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = { SHORT_URLS: memoryKV(), RATE_LIMIT_SHORTEN_CREATE: '100/60' };
+    const redirect = code => call(env, 'GET', `/s/${code}`, { headers: { Accept: '*/*' } });
+
+    const permanent = await create(env, { url: planUrl(2) });
+    const expiring = await create(env, { url: planUrl(3), expiresInDays: 30 });
+    assert.equal((await redirect(permanent.code)).headers.get('Cache-Control'), 'public, max-age=300');
+
+    t.mock.timers.tick(30 * DAY - 120000);
+    const response = await redirect(expiring.code);
+    assert.equal(response.headers.get('Location'), planUrl(3));
+    assert.equal(response.headers.get('Cache-Control'), 'public, max-age=120');
+    assert.ok(cache.has(`https://pt-onia.app/s/${expiring.code}`));
+
+    t.mock.timers.tick(120000);
+    assert.deepEqual(await runCleanup(env), { expired: 1, dangling: 0 });
+    assert.equal(cache.has(`https://pt-onia.app/s/${expiring.code}`), false);
+    assert.equal((await redirect(expiring.code)).headers.get('Location'), 'https://pt-onia.app/');
+    assert.equal((await redirect(permanent.code)).headers.get('Location'), planUrl(2));
+});
+
+test('a preview image stops being served once its plan is made private or its code expires', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = { SHORT_URLS: memoryKV(), RATE_LIMIT_SHORTEN_CREATE: '100/60' };
+    const { encodePlanState } = globalThis.PlanCore;
+    const stateUrl = data => `https://pt-onia.app/#${encodePlanState({ y: 2026, pto: ['2026-07-02', '2026-07-03'], ...data })}`;
+    // The unversioned URL redirects to the current version
+    const imagePath = async code => {
+        const location = new URL((await call(env, 'GET', `/og/${code}.png`)).headers.get('Location'));
+        return location.pathname + location.search;
+    };
+
+    const shared = await create(env, { url: stateUrl({}), expiresInDays: 30 });
+    const sharedImage = await imagePath(shared.code);
+    assert.equal((await call(env, 'GET', sharedImage)).headers.get('Content-Type'), 'image/png');
+    assert.ok(cache.has(`https://pt-onia.app${sharedImage}`));
+
+    await call(env, 'PUT', '/api/shorten', { body: { code: shared.code, token: shared.editToken, url: stateUrl({ lp: 'private' }) } });
+    assert.equal(cache.has(`https://pt-onia.app${sharedImage}`), false);
+    assert.equal((await call(env, 'GET', sharedImage)).status, 404);
+
+    // A cached image is checked against its code, so it isn't served once the code expires
+    const other = await create(env, { url: stateUrl({ pto: ['2026-12-24'] }), expiresInDays: 30 });
+    const otherImage = await imagePath(other.code);
+    assert.equal((await call(env, 'GET', otherImage)).status, 200);
+    assert.ok(cache.has(`https://pt-onia.app${otherImage}`));
+    t.mock.timers.tick(31 * DAY);
+    assert.equal((await call(env, 'GET', otherImage)).status, 404);
+});
+
+test('a calendar feed is reached by its own id, never by the short code, and goes with the code', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const env = { SHORT_URLS: memoryKV(), RATE_LIMIT_SHORTEN_CREATE: '100/60' };
+    const { encodePlanState } = globalThis.PlanCore;
+    const feedLink = async code => (await call(env, 'POST', '/api/calendar-feed', { body: { code } })).json();
+
+    const owned = await create(env, { url: `https://pt-onia.app/#${encodePlanState({ y: 2026, pto: ['2026-07-02', '2026-07-03'] })}`, expiresInDays: 30 });
+    const { feedUrl } = await feedLink(owned.code);
+    assert.match(feedUrl, /^https:\/\/pt-onia\.app\/cal\/[A-Za-z0-9_-]{22}\.ics$/);
+    assert.equal((await feedLink(owned.code)).feedUrl, feedUrl);
+
+    const feed = await call(env, 'GET', new URL(feedUrl).pathname);
+    assert.equal(feed.status, 200);
+    const body = await feed.text();
+    assert.match(body, /BEGIN:VEVENT/);
+    assert.ok(!body.includes(owned.code));
+    assert.ok(!feed.headers.get('Content-Disposition').includes(owned.code));
+    assert.equal((await call(env, 'GET', `/cal/${owned.code}.ics`)).status, 404);
+    assert.equal((await call(env, 'POST', '/api/calendar-feed', { body: { code: 'amber-coral-nova' } })).status, 404);
+
+    t.mock.timers.tick(31 * DAY);
+    await runCleanup(env);
+    assert.deepEqual([...env.SHORT_URLS.data.keys()].filter(key => key.startsWith('feed')), []);
+    assert.equal((await call(env, 'GET', new URL(feedUrl).pathname)).status, 404);
+});
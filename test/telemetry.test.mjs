@@ -0,0 +1,69 @@
+// Telemetry counters: concurrent batches through the worker into the TelemetryCounters object.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker, { TelemetryCounters } from '../cloudflare-worker.js';
+import { durableObjectNamespace, unreachableNamespace, apiRequest, APP_ORIGIN } from './helpers/durable-objects.mjs';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function telemetryEnv(extra = {}) {
+    const env = { ...extra };
+    env.TELEMETRY_COUNTERS = durableObjectNamespace(TelemetryCounters, env);
+    return env;
+}
+
+test('parallel batches are all counted in the totals and in today\'s bucket', async () => {
+    const env = telemetryEnv();
+    const N = 50;
+    const responses = await Promise.all(Array.from({ length: N }, (_, i) => worker.fetch(apiRequest('POST', '/api/telemetry', {
+        ip: `198.51.100.${i}`,
+        body: { increments: { saveClicks: 1, undoCount: 2, notAllowed: 5 }, nested: { theme: { dark: 1 } } },
+    }), env, {})));
+    assert.deepEqual([...new Set(responses.map(response => response.status))], [200]);
+
+    const totals = await (await worker.fetch(apiRequest('GET', '/api/telemetry'), env, {})).json();
+    assert.equal(totals.saveClicks, N);
+    assert.equal(totals.undoCount, 2 * N);
+    assert.equal(totals.theme.dark, N);
+    assert.equal(totals.notAllowed, undefined);
+
+    const day = today();
+    const series = await (await worker.fetch(apiRequest('GET', `/api/telemetry?from=${day}&to=${day}&granularity=day`), env, {})).json();
+    assert.equal(series.totals.saveClicks, N);
+    assert.equal(series.periods.length, 1);
+    assert.equal(series.periods[0].counters.theme.dark, N);
+
+    const { storage } = env.TELEMETRY_COUNTERS.instance('sitewide').state;
+    assert.equal(storage.data.get('counters').counters.saveClicks, N);
+    assert.equal(storage.data.get(`day:${day}`).counters.saveClicks, N);
+});
+
+test('counters from the KV blob are imported once', async () => {
+    const kv = new Map([['counters_v1', JSON.stringify({ saveClicks: 7, retiredKey: 3, theme: { dark: 2 } })]]);
+    const env = telemetryEnv({ TELEMETRY: { get: async key => kv.get(key) ?? null } });
+    await Promise.all(Array.from({ length: 5 }, () => worker.fetch(apiRequest('POST', '/api/telemetry', { body: { increments: { saveClicks: 1 } } }), env, {})));
+
+    const totals = await (await worker.fetch(apiRequest('GET', '/api/telemetry'), env, {})).json();
+    assert.deepEqual(totals, { saveClicks: 12, theme: { dark: 2 } });
+});
+
+test('reset needs the admin token', async () => {
+    const env = telemetryEnv({ TELEMETRY_ADMIN_TOKEN: 'test-admin-token-0123' });
+    await worker.fetch(apiRequest('POST', '/api/telemetry', { body: { increments: { saveClicks: 3 } } }), env, {});
+
+    assert.equal((await worker.fetch(apiRequest('DELETE', '/api/telemetry'), env, {})).status, 403);
+    const reset = await worker.fetch(apiRequest('DELETE', '/api/telemetry', { headers: { 'X-Telemetry-Admin-Token': 'test-admin-token-0123' } }), env, {});
+    assert.equal(reset.status, 200);
+    assert.deepEqual(await (await worker.fetch(apiRequest('GET', '/api/telemetry'), env, {})).json(), {});
+});
+
+test('an unreachable counters object is a 500 with CORS headers on every method', async () => {
+    const env = { TELEMETRY_COUNTERS: unreachableNamespace(), ALLOW_UNAUTHENTICATED_TELEMETRY_RESET: 'true' };
+    for (const method of ['POST', 'GET', 'DELETE']) {
+        const body = method === 'POST' ? { increments: { saveClicks: 1 } } : undefined;
+        const response = await worker.fetch(apiRequest(method, '/api/telemetry', { body }), env, {});
+        assert.equal(response.status, 500, method);
+        assert.equal(response.headers.get('Access-Control-Allow-Origin'), APP_ORIGIN, method);
+        assert.deepEqual(await response.json(), { error: 'Server error' }, method);
+    }
+});